@@ -0,0 +1,51 @@
+'use strict';
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const {TurtleGraphicsError} = require('../turtle.js');
+const {setup, settle} = require('./helpers.js');
+
+test('the default colormode takes 0-255 components', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    assert.equal(screen.colormode(), 255);
+    t.pencolor(255, 0, 0);
+    t.fillcolor([255, 128, 0]);
+    await settle(scheduler, screen.done());
+    assert.deepEqual(t.pencolor(), [255, 0, 0]);
+    assert.deepEqual(t.fillcolor(), [255, 128, 0]);
+});
+
+test('colormode(1.0) takes 0-1 components and getters return tuples in that mode', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    screen.colormode(1.0);
+    t.pencolor(1, 0.5, 0);
+    await settle(scheduler, screen.done());
+    assert.equal(t.penState.color, '#ff8000');
+    assert.deepEqual(t.pencolor().map(v => Math.round(v * 100) / 100), [1, 0.5, 0]);
+    screen.colormode(255);
+    assert.deepEqual(t.pencolor(), [255, 128, 0]);
+});
+
+test('named, hex, hsl and alpha forms are accepted', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.fillcolor('orange');
+    await settle(scheduler, screen.done());
+    assert.equal(t.penState.fillColor, '#ffa500');
+    t.pencolor({h: 120, s: 1, l: 0.5});
+    await settle(scheduler, screen.done());
+    assert.equal(t.penState.color, '#00ff00');
+    t.pencolor('#ff000080');
+    await settle(scheduler, screen.done());
+    assert.match(t.penState.color, /^rgba\(255, 0, 0, 0\.5/);
+});
+
+test('invalid colours throw TurtleGraphicsError when called', () => {
+    const {screen} = setup();
+    const t = screen.createTurtle();
+    assert.throws(() => t.pencolor('notacolour'), TurtleGraphicsError);
+    assert.throws(() => t.pencolor('#12'), TurtleGraphicsError);
+    screen.colormode(255);
+    assert.throws(() => t.pencolor(300, 0, 0), TurtleGraphicsError);
+});
@@ -0,0 +1,62 @@
+'use strict';
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const {TurtleGraphicsError} = require('../turtle.js');
+const {setup, settle} = require('./helpers.js');
+
+const round = v => Math.round(v * 100) / 100 + 0; // + 0 把 -0 变成 0
+
+async function moveWith(policy, distance, heading = 30) {
+    const {screen, scheduler} = setup({width: 300, height: 200});
+    const t = screen.createTurtle();
+    t.speed(0);
+    t.edgepolicy(policy);
+    t.left(heading);
+    t.forward(distance);
+    await settle(scheduler, screen.done());
+    return t;
+}
+
+test("'none' lets the turtle leave the screen", async () => {
+    const t = await moveWith('none', 400);
+    assert.deepEqual([round(t.xcor()), round(t.ycor())], [346.41, 200]);
+});
+
+test("'stop' stops the move on the border", async () => {
+    const t = await moveWith('stop', 400);
+    assert.deepEqual([round(t.xcor()), round(t.ycor())], [150, 86.6]);
+});
+
+test("'wrap' reappears on the opposite side without drawing across the screen", async () => {
+    const t = await moveWith('wrap', 400);
+    assert.deepEqual([round(t.xcor()), round(t.ycor())], [46.41, 0]);
+    const drawn = t.path.filter(segment => segment.points.length > 1);
+    assert.equal(drawn.length, 3);
+    drawn.forEach(segment => segment.points.forEach(p => {
+        assert.ok(Math.abs(p.x) <= 150.001 && Math.abs(p.y) <= 100.001);
+    }));
+});
+
+test("'bounce' reflects the path and the heading", async () => {
+    const t = await moveWith('bounce', 400);
+    assert.deepEqual([round(t.xcor()), round(t.ycor())], [-46.41, 0]);
+    assert.equal(round(t.heading()), 210);
+});
+
+test('goto() bounces without turning the turtle', async () => {
+    const {screen, scheduler} = setup({width: 300, height: 200});
+    const t = screen.createTurtle();
+    t.speed(0);
+    t.edgepolicy('bounce');
+    t.goto(200, 0);
+    await settle(scheduler, screen.done());
+    assert.equal(round(t.xcor()), 100);
+    assert.equal(t.heading(), 0);
+});
+
+test('edgepolicy() validates its argument and reports the current policy', () => {
+    const {screen} = setup();
+    const t = screen.createTurtle();
+    assert.equal(t.edgepolicy(), 'none');
+    assert.throws(() => t.edgepolicy('loop'), TurtleGraphicsError);
+});
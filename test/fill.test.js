@@ -0,0 +1,36 @@
+'use strict';
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const {setup, settle} = require('./helpers.js');
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} !== ${expected}`);
+
+// 每种坐标轴方向下，画布上的椭圆弧都要经过海龟坐标中圆弧的起点、中点和终点
+for (const [llx, lly, urx, ury] of [[-50, -50, 50, 50], [-50, 50, 50, -50], [50, -50, -50, 50], [50, 50, -50, -50]]) {
+    test(`a filled arc is painted with positive radii in world (${llx}, ${lly}, ${urx}, ${ury})`, async () => {
+        const {screen, scheduler, ctx} = setup();
+        const t = screen.createTurtle();
+        screen.setworldcoordinates(llx, lly, urx, ury);
+        t.speed(0);
+        t.begin_fill();
+        t.circle(20, 90);
+        t.end_fill();
+        await settle(scheduler, screen.done());
+
+        const call = ctx.calls.find(([name]) => name === 'ellipse');
+        assert.ok(call);
+        const [, x, y, rx, ry, , from, to, anticlockwise] = call;
+        assert.ok(rx > 0 && ry > 0);
+        const span = ((anticlockwise ? from - to : to - from) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+        const at = angle => ({x: x + rx * Math.cos(angle), y: y + ry * Math.sin(angle)});
+        const {cx, cy, r, start, end} = t.fills[0].path.find(op => op.arc).arc;
+        [0, 0.5, 1].forEach(k => {
+            const deg      = (start + (end - start) * k) * Math.PI / 180;
+            const expected = screen._toCanvas(cx + r * Math.cos(deg), cy + r * Math.sin(deg));
+            const actual   = at(from + (anticlockwise ? -span : span) * k);
+            near(actual.x, expected.x);
+            near(actual.y, expected.y);
+        });
+        assert.doesNotMatch(screen.toSVG(), /A-/); // SVG 圆弧的半径同样为正
+    });
+}
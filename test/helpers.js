@@ -0,0 +1,101 @@
+'use strict';
+// 测试用的无 DOM 环境：记录调用的 2D 上下文替身和手动推进的调度器
+
+const {Screen} = require('../turtle.js');
+
+/**
+ * 创建一个 2D 上下文替身。没有实现的方法都是空操作，调用记录在 ctx.calls 中。
+ */
+function makeContext(width = 400, height = 300) {
+    const canvas = {width, height};
+    const target = {
+        canvas,
+        calls: [],
+        measureText: text => ({width: String(text).length * 6}),
+        getImageData: (x, y, w, h) => ({width: w, height: h, data: new Uint8ClampedArray(w * h * 4)}),
+        getTransform: () => ({a: 1, b: 0, c: 0, d: 1, e: 0, f: 0}),
+    };
+    const ctx = new Proxy(target, {
+        get(t, prop) {
+            if (prop in t) return t[prop];
+            return (...args) => { t.calls.push([prop, ...args]); };
+        },
+        set(t, prop, value) {
+            t[prop] = value;
+            return true;
+        },
+    });
+    canvas.getContext = () => ctx;
+    return ctx;
+}
+
+/**
+ * 创建一个只在调用 frames() 时才前进的调度器，每帧 16 毫秒
+ */
+function makeScheduler() {
+    let time = 0;
+    let frames = [];
+    let timers = [];
+    let nextId = 1;
+    return {
+        now: () => time,
+        requestFrame(callback) {
+            const id = nextId++;
+            frames.push({id, callback});
+            return id;
+        },
+        cancelFrame(id) {
+            frames = frames.filter(frame => frame.id !== id);
+        },
+        setTimeout(fn, ms) {
+            const id = nextId++;
+            timers.push({id, at: time + ms, fn});
+            return id;
+        },
+        clearTimeout(id) {
+            timers = timers.filter(timer => timer.id !== id);
+        },
+        async frames(n = 1) {
+            for (let i = 0; i < n; i++) {
+                time += 16;
+                const due = frames;
+                frames = [];
+                due.forEach(frame => frame.callback(time));
+                const ready = timers.filter(timer => timer.at <= time);
+                timers = timers.filter(timer => timer.at > time);
+                ready.forEach(timer => timer.fn());
+                // 让 Promise 回调有机会执行
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        },
+        get pendingFrames() {
+            return frames.length;
+        },
+    };
+}
+
+/**
+ * 创建一个使用替身上下文和手动调度器的屏幕
+ */
+function setup({width = 400, height = 300, ...options} = {}) {
+    const scheduler = makeScheduler();
+    const ctx       = makeContext(width, height);
+    const screen    = new Screen(ctx, width, height, {scheduler, ...options});
+    return {screen, scheduler, ctx};
+}
+
+/**
+ * 推进帧直到 promise 完成 (默认等待屏幕上的全部命令)，超过 limit 帧时失败
+ */
+async function settle(scheduler, promise, limit = 20000) {
+    let finished = false;
+    let failure  = null;
+    promise.then(() => { finished = true; }, error => { finished = true; failure = error; });
+    for (let n = 0; !finished; n++) {
+        if (n >= limit) throw new Error(`not settled after ${limit} frames`);
+        await scheduler.frames(1);
+    }
+    if (failure) throw failure;
+}
+
+module.exports = {makeContext, makeScheduler, setup, settle};
@@ -0,0 +1,140 @@
+'use strict';
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const {Screen, TurtleGraphicsError} = require('../turtle.js');
+const {setup, settle} = require('./helpers.js');
+
+test('cancel() rejects pending commands and leaves the turtle where it stopped', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.speed(1);
+    t.forward(200);
+    const later = t.left(90).done();
+    await scheduler.frames(5);
+    screen.cancel();
+    await assert.rejects(later, TurtleGraphicsError);
+    const x = t.xcor();
+    assert.ok(x > 0 && x < 200);
+    await scheduler.frames(5);
+    assert.equal(t.xcor(), x);
+    assert.equal(t.heading(), 0);
+
+    t.speed(0);
+    t.forward(10);
+    await settle(scheduler, screen.done());
+    assert.equal(t.xcor(), x + 10);
+});
+
+test('pause() holds the queue until resume()', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.speed(0);
+    screen.pause();
+    t.forward(50);
+    await scheduler.frames(10);
+    assert.equal(t.xcor(), 0);
+    assert.ok(screen.ispaused());
+    screen.resume();
+    await settle(scheduler, screen.done());
+    assert.equal(t.xcor(), 50);
+});
+
+test('step() runs exactly one queued command', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.speed(0);
+    screen.pause();
+    t.forward(10);
+    t.forward(20);
+    await settle(scheduler, screen.step());
+    assert.equal(t.xcor(), 10);
+    await scheduler.frames(5);
+    assert.equal(t.xcor(), 10);
+    await settle(scheduler, screen.step());
+    assert.equal(t.xcor(), 30);
+});
+
+test('step() in concurrent mode runs one command from every queue', async () => {
+    const {screen, scheduler} = setup();
+    screen.concurrent(true);
+    const a = screen.createTurtle(), b = screen.createTurtle();
+    a.speed(0);
+    b.speed(0);
+    screen.pause();
+    a.forward(10);
+    a.forward(20);
+    b.forward(5);
+    b.forward(5);
+    await settle(scheduler, screen.step());
+    assert.equal(a.xcor(), 10);
+    assert.equal(b.xcor(), 5);
+    await settle(scheduler, screen.step());
+    assert.equal(a.xcor(), 30);
+    assert.equal(b.xcor(), 10);
+});
+
+test('oncommandstart/oncommanddone report each command', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    const events = [];
+    screen.oncommandstart(info => events.push(`start ${info.name}`));
+    screen.oncommanddone(info => events.push(`done ${info.name}`));
+    t.speed(0);
+    t.forward(10);
+    t.left(90);
+    await settle(scheduler, screen.done());
+    assert.deepEqual(events, ['start forward', 'done forward', 'start left', 'done left']);
+});
+
+test('a throwing oncommandstart handler does not stall the queue', async (t) => {
+    const errors = [];
+    t.mock.method(console, 'error', error => errors.push(error));
+    const {screen, scheduler} = setup();
+    const turtle = screen.createTurtle();
+    screen.oncommandstart(() => { throw new Error('start handler'); });
+    turtle.speed(0);
+    turtle.forward(10);
+    turtle.forward(20);
+    await settle(scheduler, screen.done());
+    assert.equal(turtle.xcor(), 30);
+    assert.equal(turtle.isBusy, false);
+    assert.equal(errors.length, 2);
+    assert.equal(errors[0].message, 'start handler');
+});
+
+test('a throwing oncommanddone handler does not drop other turtles\' animations', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const {screen, scheduler} = setup();
+    screen.concurrent(true);
+    const a = screen.createTurtle(), b = screen.createTurtle();
+    screen.oncommanddone(info => {
+        if (info.turtle === a) throw new Error('done handler');
+    });
+    a.speed(10);
+    b.speed(1);
+    a.forward(5);
+    b.forward(100);
+    await settle(scheduler, screen.done());
+    assert.equal(a.xcor(), 5);
+    assert.equal(b.xcor(), 100);
+    assert.equal(b.isBusy, false);
+});
+
+test('a failing plugin command reports its error in oncommanddone', async () => {
+    Screen.registerCommand('failingplugin', {
+        execute() { throw new Error('plugin broke'); },
+    });
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    const done = [];
+    screen.oncommanddone(info => done.push(info));
+    t.speed(0);
+    const failed = t.failingplugin().done();
+    t.forward(10);
+    await assert.rejects(settle(scheduler, failed), {message: 'plugin broke'});
+    await settle(scheduler, screen.done());
+    assert.deepEqual(done.map(info => info.name), ['failingplugin', 'forward']);
+    assert.equal(done[0].error.message, 'plugin broke');
+    assert.equal('error' in done[1], false);
+    assert.equal(t.xcor(), 10);
+});
@@ -0,0 +1,69 @@
+'use strict';
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const {setup, settle} = require('./helpers.js');
+
+const snapshot = turtle => ({
+    x: Math.round(turtle.xcor()),
+    y: Math.round(turtle.ycor()),
+    heading: Math.round(turtle.heading()),
+    color: turtle.penState.color,
+    segments: turtle.path.filter(segment => segment.points.length > 1).length,
+});
+
+test('a captured program replays to the same drawing', async () => {
+    const {screen, scheduler} = setup();
+    screen.startCapture();
+    const t = screen.createTurtle();
+    t.speed(0);
+    t.pencolor('red');
+    t.forward(40);
+    t.left(120);
+    t.forward(40);
+    t.edgepolicy('bounce');
+    await settle(scheduler, screen.done());
+    const program = JSON.parse(JSON.stringify(screen.stopCapture()));
+
+    const other = setup();
+    await settle(other.scheduler, Promise.resolve(other.screen.replay(program)));
+    const [copy] = other.screen.getturtles();
+    assert.deepEqual(snapshot(copy), snapshot(t));
+    assert.equal(copy.edgepolicy(), 'bounce');
+});
+
+test('a concurrent clone() replays with the same state', async () => {
+    const {screen, scheduler} = setup();
+    screen.startCapture();
+    screen.concurrent(true);
+    const t = screen.createTurtle();
+    t.forward(60);
+    const c = t.clone();
+    c.left(90);
+    c.forward(20);
+    await settle(scheduler, screen.done());
+    const program = JSON.parse(JSON.stringify(screen.stopCapture()));
+    assert.equal(program.commands.filter(command => command.name === 'barrier').length, 0);
+
+    const other = setup();
+    await settle(other.scheduler, Promise.resolve(other.screen.replay(program)));
+    const [, copy] = other.screen.getturtles();
+    assert.deepEqual(snapshot(copy), snapshot(c));
+    assert.deepEqual(snapshot(c), {...snapshot(c), x: 60, y: 20, heading: 90});
+});
+
+test('saveState()/restoreState() round-trips the drawing model', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.speed(0);
+    t.pencolor('blue');
+    t.circle(20);
+    t.write('hi');
+    await settle(scheduler, screen.done());
+    const state = JSON.stringify(screen.saveState());
+
+    const other = setup();
+    other.screen.restoreState(state);
+    const [copy] = other.screen.getturtles();
+    assert.deepEqual(snapshot(copy), snapshot(t));
+    assert.equal(copy.writings[0].text, 'hi');
+});
@@ -0,0 +1,93 @@
+'use strict';
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const {Turtle} = require('../turtle.js');
+const {setup, settle} = require('./helpers.js');
+
+test('commands run in order and done() resolves when the queue is empty', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.forward(100);
+    t.left(90);
+    t.forward(50);
+    assert.equal(t.xcor(), 0); // 还没有执行
+    await settle(scheduler, screen.done());
+    assert.equal(Math.round(t.xcor()), 100);
+    assert.equal(Math.round(t.ycor()), 50);
+    assert.equal(t.heading(), 90);
+});
+
+test('the pen draws a path segment through every move', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.speed(0);
+    t.forward(10);
+    t.left(90);
+    t.forward(10);
+    t.penup();
+    t.forward(10);
+    await settle(scheduler, screen.done());
+    const drawn = t.path.filter(segment => segment.pen.isDown && segment.points.length > 1);
+    assert.deepEqual(drawn[0].points.map(p => [Math.round(p.x), Math.round(p.y)]), [[0, 0], [10, 0], [10, 10]]);
+});
+
+test('new Turtle(ctx) reuses the screen bound to the same context', () => {
+    const {screen, ctx} = setup();
+    const t = new Turtle(ctx);
+    assert.equal(t.screen, screen);
+    assert.ok(screen.getturtles().includes(t));
+});
+
+test('commands return the turtle itself, so identity checks keep working', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle().penup().shape('square');
+    assert.ok(screen.getturtles().includes(t));
+    const scores = new Map([[t, 1]]);
+    assert.equal(scores.get(t.forward(0)), 1);
+    assert.equal(screen.bgcolor('white'), screen);
+    await settle(scheduler, screen.done());
+    assert.equal(screen.turtlesAt(0, 0)[0], t);
+    screen.removeTurtle(t.left(0));
+    assert.equal(screen.getturtles().length, 0);
+    assert.equal(screen.bye(), screen);
+    assert.equal(screen.bye(), screen); // 已经关闭时也一样
+});
+
+test('done() after a command waits for that command', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    await settle(scheduler, t.forward(30).done());
+    assert.equal(t.xcor(), 30);
+    assert.equal(await t.done(), t);
+});
+
+test('speed() called after a queued reset is not overridden by it', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    screen.setworldcoordinates(-100, -100, 100, 100);
+    t.speed(0);
+    t.goto(50, 50);
+    t.reset();
+    t.speed(0);
+    t.forward(1000);
+    await scheduler.frames(10); // 每个瞬时命令占一帧；按默认速度动画的话 1000 远走不完
+    assert.equal(t.speed(), 0);
+    assert.equal(t.xcor(), 1000);
+    assert.equal(t.isBusy, false);
+});
+
+test('clone() in concurrent mode copies the state after the commands queued before it', async () => {
+    const {screen, scheduler} = setup();
+    screen.concurrent(true);
+    const t = screen.createTurtle();
+    t.forward(100);
+    t.left(90);
+    const c = t.clone();
+    t.forward(50);
+    c.forward(10);
+    await settle(scheduler, screen.done());
+    assert.equal(Math.round(c.xcor()), 100);
+    assert.equal(Math.round(c.ycor()), 10);
+    assert.equal(c.heading(), 90);
+    assert.equal(Math.round(t.ycor()), 50);
+});
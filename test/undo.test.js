@@ -0,0 +1,85 @@
+'use strict';
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const {setup, settle} = require('./helpers.js');
+
+test('undo() rolls back position, heading, pen and drawings', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.speed(0);
+    t.forward(50);
+    t.left(90);
+    t.pencolor('red');
+    t.dot(5);
+    await settle(scheduler, screen.done());
+    assert.equal(t.undobufferentries(), 4);
+
+    t.undo();
+    t.undo();
+    await settle(scheduler, screen.done());
+    assert.equal(t.dots.length, 0);
+    assert.equal(t.penState.color, '#000000');
+    assert.equal(t.heading(), 90);
+    t.undo();
+    t.undo();
+    await settle(scheduler, screen.done());
+    assert.equal(t.xcor(), 0);
+    assert.equal(t.heading(), 0);
+    assert.ok(t.path.every(segment => segment.points.length < 2));
+});
+
+test('a circle is undone as a single action', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.speed(0);
+    t.circle(30);
+    await settle(scheduler, screen.done());
+    assert.equal(t.undobufferentries(), 1);
+    t.undo();
+    await settle(scheduler, screen.done());
+    assert.ok(t.path.every(segment => segment.points.length < 2));
+});
+
+test('setundobuffer() limits the number of entries', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.speed(0);
+    t.setundobuffer(2);
+    for (let i = 0; i < 5; i++) t.forward(10);
+    await settle(scheduler, screen.done());
+    assert.equal(t.undobufferentries(), 2);
+});
+
+test('undo() rolls back begin_poly()/end_poly() and begin_fill()', async () => {
+    const {screen, scheduler} = setup();
+    const t = screen.createTurtle();
+    t.speed(0);
+    t.forward(10);
+    t.begin_poly();
+    t.forward(20);
+    t.left(90);
+    t.forward(20);
+    t.end_poly();
+    await settle(scheduler, screen.done());
+    assert.equal(t.get_poly().length, 3);
+
+    t.undo(); // end_poly
+    t.undo(); // forward
+    await settle(scheduler, screen.done());
+    assert.deepEqual(t.get_poly(), [[10, 0], [30, 0]]);
+    t.undo();
+    t.undo();
+    t.undo(); // begin_poly
+    t.forward(5);
+    await settle(scheduler, screen.done());
+    assert.equal(t.get_poly(), null);
+
+    const seq = t._fillSeq;
+    t.begin_fill();
+    await settle(scheduler, screen.done());
+    assert.notEqual(t._fillSeq, seq);
+    t.undo();
+    await settle(scheduler, screen.done());
+    assert.equal(t._fillSeq, seq);
+    assert.equal(t.filling(), false);
+});
@@ -25,175 +25,2776 @@
 (function(global) {
 'use strict';
 
+/**
+ * 海龟绘图相关的错误类型 (与 Python turtle 的 TurtleGraphicsError 对应)
+ */
+class TurtleGraphicsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TurtleGraphicsError';
+    }
+}
+
 /**
  * @private
- * 解析颜色的辅助函数
+ * 创建默认的帧/计时器调度器。
+ * 浏览器主线程中使用 requestAnimationFrame；在 Node 或没有 rAF 的 Worker 中退回到 setTimeout。
  */
-function _parseColor(...args) {
-    if (args.length === 0) return null;
-    if (typeof args[0] === 'string') return args[0];
-    if (Array.isArray(args[0])) return `rgb(${args[0][0]}, ${args[0][1]}, ${args[0][2]})`;
-    if (args.length === 3) return `rgb(${args[0]}, ${args[1]}, ${args[2]})`;
-    return null;
+function _createDefaultScheduler() {
+    const now = (typeof performance !== 'undefined' && typeof performance.now === 'function')
+        ? () => performance.now()
+        : () => Date.now();
+    const hasRaf = typeof requestAnimationFrame === 'function';
+
+    return {
+        now: now,
+        requestFrame: hasRaf ? cb => requestAnimationFrame(cb) : cb => setTimeout(() => cb(now()), 16),
+        cancelFrame: hasRaf ? id => cancelAnimationFrame(id) : id => clearTimeout(id),
+        setTimeout: (fn, ms) => setTimeout(fn, ms),
+        clearTimeout: id => clearTimeout(id),
+    };
 }
 
 /**
- * Screen 类 - 管理画布、海龟和命令队列
- * 它是所有海龟绘图的“舞台”或“世界”。
+ * @private
+ * 判断一个对象是否可以当作 2D 渲染上下文使用 (CanvasRenderingContext2D、
+ * OffscreenCanvasRenderingContext2D 或 node-canvas 等兼容实现)
  */
-class Screen {
+function _isContext2D(obj) {
+    return !!obj && typeof obj.fillRect === 'function' && typeof obj.beginPath === 'function';
+}
+
+/**
+ * @private
+ * 判断一个对象是否是画布 (HTMLCanvasElement、OffscreenCanvas 或兼容实现)
+ */
+function _isCanvas(obj) {
+    return !!obj && typeof obj === 'object' && typeof obj.getContext === 'function';
+}
+
+/**
+ * @private
+ * 画布 (以及 2D 上下文) 到绑定在它上面的 Screen 的映射，`new Turtle(target)` 据此复用已有的 Screen
+ */
+const _screensByTarget = new WeakMap();
+
+/**
+ * @private
+ * 查找已经绑定到 target 所指画布上、尚未 bye() 的 Screen，没有时返回 null。
+ * target 的含义与 Screen 构造函数相同，省略时指默认的 'turtle-canvas'。
+ */
+function _existingScreen(target) {
+    let key = target == null ? 'turtle-canvas' : target;
+    if (typeof key === 'string') key = typeof document !== 'undefined' ? document.getElementById(key) : null;
+    const screen = key && typeof key === 'object' ? _screensByTarget.get(key) : null;
+    return screen && !screen._destroyed ? screen : null;
+}
+
+/**
+ * @private
+ * CSS 命名颜色表 (名字:十六进制)，用于校验颜色名并把它们换算为数值
+ */
+const _NAMED_COLORS = {};
+(
+    'aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff beige:f5f5dc bisque:ffe4c4 ' +
+    'black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 brown:a52a2a burlywood:deb887 cadetblue:5f9ea0 ' +
+    'chartreuse:7fff00 chocolate:d2691e coral:ff7f50 cornflowerblue:6495ed cornsilk:fff8dc crimson:dc143c cyan:00ffff ' +
+    'darkblue:00008b darkcyan:008b8b darkgoldenrod:b8860b darkgray:a9a9a9 darkgreen:006400 darkgrey:a9a9a9 ' +
+    'darkkhaki:bdb76b darkmagenta:8b008b darkolivegreen:556b2f darkorange:ff8c00 darkorchid:9932cc darkred:8b0000 ' +
+    'darksalmon:e9967a darkseagreen:8fbc8f darkslateblue:483d8b darkslategray:2f4f4f darkslategrey:2f4f4f ' +
+    'darkturquoise:00ced1 darkviolet:9400d3 deeppink:ff1493 deepskyblue:00bfff dimgray:696969 dimgrey:696969 ' +
+    'dodgerblue:1e90ff firebrick:b22222 floralwhite:fffaf0 forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc ' +
+    'ghostwhite:f8f8ff gold:ffd700 goldenrod:daa520 gray:808080 green:008000 greenyellow:adff2f grey:808080 ' +
+    'honeydew:f0fff0 hotpink:ff69b4 indianred:cd5c5c indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa ' +
+    'lavenderblush:fff0f5 lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080 lightcyan:e0ffff ' +
+    'lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 lightgrey:d3d3d3 lightpink:ffb6c1 ' +
+    'lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa lightslategray:778899 lightslategrey:778899 ' +
+    'lightsteelblue:b0c4de lightyellow:ffffe0 lime:00ff00 limegreen:32cd32 linen:faf0e6 magenta:ff00ff maroon:800000 ' +
+    'mediumaquamarine:66cdaa mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db mediumseagreen:3cb371 ' +
+    'mediumslateblue:7b68ee mediumspringgreen:00fa9a mediumturquoise:48d1cc mediumvioletred:c71585 midnightblue:191970 ' +
+    'mintcream:f5fffa mistyrose:ffe4e1 moccasin:ffe4b5 navajowhite:ffdead navy:000080 oldlace:fdf5e6 olive:808000 ' +
+    'olivedrab:6b8e23 orange:ffa500 orangered:ff4500 orchid:da70d6 palegoldenrod:eee8aa palegreen:98fb98 ' +
+    'paleturquoise:afeeee palevioletred:db7093 papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f pink:ffc0cb plum:dda0dd ' +
+    'powderblue:b0e0e6 purple:800080 rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f royalblue:4169e1 ' +
+    'saddlebrown:8b4513 salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee sienna:a0522d silver:c0c0c0 ' +
+    'skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa springgreen:00ff7f steelblue:4682b4 ' +
+    'tan:d2b48c teal:008080 thistle:d8bfd8 tomato:ff6347 turquoise:40e0d0 violet:ee82ee wheat:f5deb3 white:ffffff ' +
+    'whitesmoke:f5f5f5 yellow:ffff00 yellowgreen:9acd32'
+).split(' ').forEach(entry => {
+    const [name, hex] = entry.split(':');
+    _NAMED_COLORS[name] = hex;
+});
+
+/**
+ * @private
+ * 解析颜色字符串：颜色名 (不区分大小写，可以带空格，例如 'Light Blue')、'#rgb'、'#rgba'、'#rrggbb'、'#rrggbbaa'、
+ * 'rgb()'/'rgba()'/'hsl()'/'hsla()'，以及表示透明的 '' 和 'transparent'。
+ * @returns {{r: number, g: number, b: number, a: number}|null} r/g/b 为 0-255，a 为 0-1；无法识别时返回 null
+ */
+function _parseColorString(str) {
+    const text = str.trim().toLowerCase();
+    if (text === '' || text === 'transparent') return {r: 0, g: 0, b: 0, a: 0};
+
+    const name = text.replace(/\s+/g, '');
+    const hex  = name[0] === '#' ? name.slice(1) : _NAMED_COLORS[name];
+    if (hex !== undefined) {
+        if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) return null;
+        const full = hex.length <= 4 ? hex.replace(/./g, c => c + c) : hex;
+        const byte = i => parseInt(full.slice(i * 2, i * 2 + 2), 16);
+        return {r: byte(0), g: byte(1), b: byte(2), a: full.length === 8 ? byte(3) / 255 : 1};
+    }
+
+    const match = /^(rgba?|hsla?)\((.*)\)$/.exec(text);
+    if (!match) return null;
+    // 同时支持逗号分隔和 CSS Color 4 的空格分隔 ('rgb(255 0 0 / 50%)')
+    const parts = match[2].split(/\s*[,/]\s*|\s+/).filter(part => part !== '');
+    if (parts.length !== 3 && parts.length !== 4) return null;
+    const number = (part, percentScale) => {
+        const value = parseFloat(part);
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?(%|deg)?$/.test(part)) return NaN;
+        return part.endsWith('%') ? value * percentScale / 100 : value;
+    };
+    const alpha = parts.length === 4 ? number(parts[3], 1) : 1;
+
+    let rgb;
+    if (match[1].startsWith('rgb')) {
+        rgb = parts.slice(0, 3).map(part => number(part, 255));
+    } else {
+        const [h, s, l] = [number(parts[0], NaN), number(parts[1], 1), number(parts[2], 1)];
+        if (!(s >= 0 && s <= 1 && l >= 0 && l <= 1)) return null;
+        rgb = _hslToRGB((h % 360 + 360) % 360, s, l);
+    }
+    if (!rgb.every(v => v >= 0 && v <= 255) || !(alpha >= 0 && alpha <= 1)) return null;
+    return {r: rgb[0], g: rgb[1], b: rgb[2], a: alpha};
+}
+
+/**
+ * @private
+ * HSL (h 为度，s/l 为 0-1) 转换为 [r, g, b] (0-255)
+ */
+function _hslToRGB(h, s, l) {
+    const k = n => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+/**
+ * @private
+ * HSV (h 为度，s/v 为 0-1) 转换为 [r, g, b] (0-255)
+ */
+function _hsvToRGB(h, s, v) {
+    const k = n => (n + h / 60) % 6;
+    const f = n => v - v * s * Math.max(0, Math.min(k(n), 4 - k(n), 1));
+    return [f(5) * 255, f(3) * 255, f(1) * 255];
+}
+
+/**
+ * @private
+ * 解析用户传入的颜色参数，返回规范化的 CSS 颜色 ('#rrggbb'，有透明度时为 'rgba(r, g, b, a)')。
+ * 与 Python 一致，数值形式按 colormode 解释 (1.0 时取值 0-1，255 时取值 0-255)，透明度总是 0-1。支持：
+ * - 字符串，参见 _parseColorString
+ * - (r, g, b[, a]) 或 [r, g, b[, a]]
+ * - {r, g, b[, a]}、{h, s, l[, a]} 或 {h, s, v[, a]}，其中 h 为度，s/l/v 为 0-1
+ * @param {Array} args - 颜色方法收到的参数
+ * @param {number} colormode - 1.0 或 255
+ * @throws {TurtleGraphicsError} 颜色无法识别或超出范围时
+ */
+function _parseColor(args, colormode) {
+    const value = args.length === 1 ? args[0] : args;
+    let color   = null;
+
+    if (typeof value === 'string') {
+        color = _parseColorString(value);
+        if (!color) throw new TurtleGraphicsError(`bad color string: ${value}`);
+    } else if (Array.isArray(value)) {
+        if ((value.length === 3 || value.length === 4) && value.every(v => typeof v === 'number')) {
+            const [r, g, b] = value.map(v => v * 255 / colormode);
+            color = {r, g, b, a: value.length === 4 ? value[3] : 1};
+        }
+    } else if (value && typeof value === 'object') {
+        const a = value.a === undefined ? 1 : value.a;
+        let rgb = null;
+        if ('l' in value) {
+            if (value.s >= 0 && value.s <= 1 && value.l >= 0 && value.l <= 1) rgb = _hslToRGB(((value.h % 360) + 360) % 360, value.s, value.l);
+        } else if ('v' in value) {
+            if (value.s >= 0 && value.s <= 1 && value.v >= 0 && value.v <= 1) rgb = _hsvToRGB(((value.h % 360) + 360) % 360, value.s, value.v);
+        } else if ('r' in value) {
+            rgb = [value.r, value.g, value.b].map(v => v * 255 / colormode);
+        }
+        if (rgb) color = {r: rgb[0], g: rgb[1], b: rgb[2], a: a};
+    }
+
+    const inRange = v => typeof v === 'number' && v >= 0 && v <= 255;
+    if (!color || ![color.r, color.g, color.b].every(inRange) || !(color.a >= 0 && color.a <= 1)) {
+        const hint = colormode === 1 ? ' (colormode is 1.0, use colormode(255) for 0-255 values)' : '';
+        throw new TurtleGraphicsError(`bad color sequence: ${JSON.stringify(value)}${hint}`);
+    }
+    return _formatColor(color);
+}
+
+/**
+ * @private
+ * 把 {r, g, b, a} 格式化为规范化的 CSS 颜色。与 Python 一致，各通道量化为 8 位整数，
+ * 因此 getter 返回的值再次传入时得到完全相同的颜色。
+ */
+function _formatColor({r, g, b, a}) {
+    const [R, G, B] = [r, g, b].map(v => Math.round(v));
+    if (a < 1) return `rgba(${R}, ${G}, ${B}, ${Math.round(a * 1000) / 1000})`;
+    return '#' + [R, G, B].map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @private
+ * 把规范化的 CSS 颜色换算为当前 colormode 下的元组 [r, g, b]，有透明度时为 [r, g, b, a]
+ */
+function _colorTuple(css, colormode) {
+    const {r, g, b, a} = _parseColorString(css);
+    const rgb = [r, g, b].map(v => colormode === 1 ? v / 255 : v);
+    return a < 1 ? [...rgb, a] : rgb;
+}
+
+/**
+ * @private
+ * 生成 SVG 的颜色属性。透明度单独写成 *-opacity 属性，兼容不支持 rgba() 的 SVG 查看器。
+ * @param {string} attr - 'fill' 或 'stroke'
+ * @param {string} css - 规范化的 CSS 颜色
+ */
+function _svgPaint(attr, css) {
+    const color = _parseColorString(css);
+    if (!color) return `${attr}="${_escapeXML(css)}"`;
+    const hex = _formatColor({...color, a: 1});
+    return color.a < 1 ? `${attr}="${hex}" ${attr}-opacity="${color.a}"` : `${attr}="${hex}"`;
+}
+
+/**
+ * @private
+ * 生成 SVG 的不透明度和混合模式属性 (前面带空格，默认值时为空串)。
+ * CSS mix-blend-mode 只支持可分离/不可分离混合模式，canvas 的 Porter-Duff 合成 (如 'xor') 无法导出，按 source-over 处理。
+ * @param {{opacity: number, blend: string}} style
+ */
+function _svgComposite(style) {
+    let attrs = '';
+    if (style.opacity !== undefined && style.opacity < 1) attrs += ` opacity="${style.opacity}"`;
+    const blend = style.blend === 'lighter' ? 'plus-lighter' : style.blend;
+    if (blend && (blend === 'plus-lighter' || _BLEND_MODES.indexOf(blend) >= _BLEND_MODES.indexOf('multiply'))) {
+        attrs += ` style="mix-blend-mode:${blend}"`;
+    }
+    return attrs;
+}
+
+/**
+ * @private
+ * 转义 XML 特殊字符，用于生成 SVG
+ */
+function _escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * @private
+ * 格式化 SVG 中的数值，保留两位小数以控制文件体积
+ */
+function _svgNumber(n) {
+    return String(Math.round(n * 100) / 100);
+}
+
+/**
+ * @private
+ * 把字节数组编码为 base64 字符串 (分块处理，避免参数过多导致栈溢出)
+ */
+function _bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @private
+ * 把 data URL 解码为 Blob
+ */
+function _dataURLToBlob(dataURL) {
+    const [header, body] = dataURL.split(',');
+    const mime   = header.slice(5).split(';')[0];
+    const binary = atob(body);
+    const bytes  = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], {type: mime});
+}
+
+/**
+ * @private
+ * 把画布导出为 Blob。依次尝试 OffscreenCanvas.convertToBlob、HTMLCanvasElement.toBlob 和 toDataURL。
+ */
+function _canvasToBlob(canvas, mime, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({type: mime, quality: quality});
+    }
+    if (typeof canvas.toBlob === 'function') {
+        return new Promise((resolve, reject) => canvas.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new TurtleGraphicsError(`Failed to encode the canvas as ${mime}.`));
+        }, mime, quality));
+    }
+    if (typeof canvas.toDataURL === 'function') {
+        return Promise.resolve(_dataURLToBlob(canvas.toDataURL(mime, quality)));
+    }
+    return Promise.reject(new TurtleGraphicsError('This render target cannot be exported as an image.'));
+}
+
+/**
+ * @private
+ * 把画布导出为 data URL
+ */
+function _canvasToDataURL(canvas, mime, quality) {
+    if (typeof canvas.toDataURL === 'function') {
+        return Promise.resolve(canvas.toDataURL(mime, quality));
+    }
+    return _canvasToBlob(canvas, mime, quality)
+        .then(blob => blob.arrayBuffer())
+        .then(buffer => `data:${mime};base64,${_bytesToBase64(new Uint8Array(buffer))}`);
+}
+
+/**
+ * @private
+ * 按要求的输出类型包装编码好的字节：'blob'、'dataURL' 或 'bytes' (Uint8Array)
+ */
+function _wrapBytes(bytes, mime, type) {
+    if (type === 'bytes') return Promise.resolve(bytes);
+    if (type === 'dataURL') return Promise.resolve(`data:${mime};base64,${_bytesToBase64(bytes)}`);
+    return Promise.resolve(new Blob([bytes], {type: mime}));
+}
+
+/**
+ * @private
+ * 纯 JS 实现的动画 GIF 编码器。
+ * 使用固定的 6×7×6 调色板 (252 色) 量化像素，每一帧在加入时立即做 LZW 压缩，
+ * 因此录制很长的动画也只占用压缩后的内存。
+ */
+class _GIFEncoder {
+    constructor(width, height) {
+        this.width   = width;
+        this.height  = height;
+        this._chunks = [];
+
+        const header = [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]; // "GIF89a"
+        // 逻辑屏幕描述符：宽、高、全局颜色表 (256 项)、背景色索引、像素宽高比
+        header.push(width & 0xff, width >> 8, height & 0xff, height >> 8, 0xf7, 0, 0);
+        for (let i = 0; i < 256; i++) {
+            const r = Math.floor(i / 42), g = Math.floor(i / 6) % 7, b = i % 6;
+            if (i < 252) header.push(r * 51, Math.round(g * 42.5), b * 51);
+            else header.push(0, 0, 0);
+        }
+        // NETSCAPE2.0 扩展：无限循环播放
+        header.push(0x21, 0xff, 0x0b, 0x4e, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2e, 0x30, 0x03, 0x01, 0x00, 0x00, 0x00);
+        this._chunks.push(new Uint8Array(header));
+    }
+
     /**
-     * Screen 构造函数
-     * @param {string|HTMLCanvasElement|CanvasRenderingContext2D} target - Canvas 的 id、Canvas DOM 元素本身，或者是一个 2D 的渲染上下文。
-     * @param {number} [width=1000] - 画布宽度 (如果需要创建新的 canvas)。
-     * @param {number} [height=800] - 画布高度 (如果需要创建新的 canvas)。
+     * 把 RGBA 像素量化为调色板索引
+     * @param {Uint8ClampedArray} rgba
+     * @returns {Uint8Array}
      */
-    constructor(target, width = 1000, height = 800) {
-        this.turtles      = [];
-        this.bgColor      = '#ffffff'; // 默认背景色为白色
-        this.commandQueue = [];
-        this.isBusy       = false;
-        this._shapes      = {};
+    static quantize(rgba) {
+        const count   = rgba.length / 4;
+        const indices = new Uint8Array(count);
+        for (let i = 0, j = 0; i < count; i++, j += 4) {
+            indices[i] = Math.round(rgba[j] * 5 / 255) * 42 + Math.round(rgba[j + 1] * 6 / 255) * 6 + Math.round(rgba[j + 2] * 5 / 255);
+        }
+        return indices;
+    }
 
-        if (target instanceof CanvasRenderingContext2D) {
-            // 如果传入的是一个 context
-            this.ctx    = target;
-            this.canvas = this.ctx.canvas;
-        } else if (target instanceof HTMLCanvasElement) {
-            // 如果传入的是一个 canvas 元素
-            this.canvas = target;
-            this.ctx    = this.canvas.getContext('2d');
-        } else if (typeof target === 'string') {
-            // 如果传入的是 canvas 的 id
-            const canvas = document.getElementById(target);
-            if (canvas) {
-                this.canvas = canvas;
-                this.ctx    = this.canvas.getContext('2d');
+    /**
+     * 追加一帧
+     * @param {Uint8Array} indices - 调色板索引，长度为 width * height
+     * @param {number} delay - 该帧的显示时长，单位为 1/100 秒
+     */
+    addFrame(indices, delay) {
+        const {width, height} = this;
+        delay = Math.max(2, Math.min(0xffff, Math.round(delay)));
+        const head = new Uint8Array([
+            0x21, 0xf9, 0x04, 0x04, delay & 0xff, delay >> 8, 0x00, 0x00,              // 图形控制扩展
+            0x2c, 0, 0, 0, 0, width & 0xff, width >> 8, height & 0xff, height >> 8, 0x00, // 图像描述符
+        ]);
+        this._chunks.push(head, _GIFEncoder._lzw(indices, 8));
+    }
+
+    /**
+     * 结束编码并返回完整的 GIF 文件
+     * @returns {Uint8Array}
+     */
+    finish() {
+        this._chunks.push(new Uint8Array([0x3b]));
+        const total = this._chunks.reduce((sum, c) => sum + c.length, 0);
+        const out   = new Uint8Array(total);
+        let offset  = 0;
+        this._chunks.forEach(c => { out.set(c, offset); offset += c.length; });
+        return out;
+    }
+
+    /**
+     * GIF 变长 LZW 压缩，输出带最小码长前缀并按 255 字节分块的数据
+     */
+    static _lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const eoiCode   = clearCode + 1;
+        const bytes     = [minCodeSize];
+        let block       = [];
+        let cur = 0, curShift = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = eoiCode + 1;
+        let table    = new Map();
+
+        const emit = code => {
+            cur |= code << curShift;
+            curShift += codeSize;
+            while (curShift >= 8) {
+                block.push(cur & 0xff);
+                if (block.length === 255) {
+                    bytes.push(255, ...block);
+                    block = [];
+                }
+                cur >>= 8;
+                curShift -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k   = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === 4096) {
+                emit(clearCode);
+                nextCode = eoiCode + 1;
+                codeSize = minCodeSize + 1;
+                table    = new Map();
             } else {
-                // 如果找不到 id 对应的 canvas，则创建一个新的
-                this.canvas      = document.createElement('canvas');
-                this.canvas.id   = target;
-                document.body.appendChild(this.canvas);
-                this.ctx         = this.canvas.getContext('2d');
-                this.canvas.width  = width;
-                this.canvas.height = height;
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
             }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(eoiCode);
+        if (curShift > 0) block.push(cur & 0xff);
+        if (block.length) bytes.push(block.length, ...block);
+        bytes.push(0);
+        return new Uint8Array(bytes);
+    }
+}
+
+/**
+ * @private
+ * 动画录制器：在屏幕每次重绘时按帧率采样画布，并把帧交给 GIF 编码器。
+ * 相同的连续帧会被合并为一帧并延长其显示时长。
+ */
+class _FrameRecorder {
+    constructor(screen, fps, scale) {
+        this.screen    = screen;
+        this.interval  = 1000 / fps;
+        this.scale     = scale;
+        this.width     = Math.max(1, Math.round(screen._width * scale));
+        this.height    = Math.max(1, Math.round(screen._height * scale));
+        this.encoder   = new _GIFEncoder(this.width, this.height);
+        this.pending   = null; // 尚未写入编码器的上一帧 {indices, time}
+        this.lastTime  = -Infinity;
+        this.scratch   = null;
+        this._ensureScratch();
+    }
+
+    /**
+     * 录制尺寸与画布的实际像素尺寸不同时 (指定了 scale，或者在高分屏上)，需要先缩放到一个临时画布上再采样
+     */
+    _ensureScratch() {
+        const canvas = this.screen.canvas;
+        if (this.scratch || (canvas.width === this.width && canvas.height === this.height)) return;
+        this.scratch = this.screen._createCanvas(this.width, this.height);
+        if (!this.scratch) {
+            throw new TurtleGraphicsError('Scaled recording needs a canvas factory; pass options.createCanvas to Screen.');
+        }
+    }
+
+    /**
+     * 采样当前画面。距离上一次采样不足一个帧间隔时直接跳过，除非 force 为 true。
+     */
+    capture(now, force = false) {
+        if (!force && now - this.lastTime < this.interval) return;
+        this.lastTime = now;
+
+        this._ensureScratch();
+        let ctx = this.screen.ctx;
+        if (this.scratch) {
+            ctx = this.scratch.getContext('2d');
+            ctx.drawImage(this.screen.canvas, 0, 0, this.width, this.height);
+        }
+        const indices = _GIFEncoder.quantize(ctx.getImageData(0, 0, this.width, this.height).data);
+
+        if (this.pending) {
+            if (_sameBytes(this.pending.indices, indices)) return;
+            this.encoder.addFrame(this.pending.indices, (now - this.pending.time) / 10);
+        }
+        this.pending = {indices: indices, time: now};
+    }
+
+    /**
+     * 写入最后一帧 (停留 1 秒) 并返回完整的 GIF 字节
+     */
+    finish(now) {
+        this.capture(now, true);
+        this.encoder.addFrame(this.pending.indices, 100);
+        return this.encoder.finish();
+    }
+}
+
+/**
+ * @private
+ * 比较两个字节数组是否完全相同
+ */
+function _sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * @private
+ * 把 towards()/distance() 等方法的参数统一为一个点。
+ * 既接受 (x, y)，也接受一只海龟、{x, y} 对象或 [x, y] 数组。
+ */
+function _toPoint(x, y) {
+    if (Array.isArray(x)) return {x: x[0], y: x[1]};
+    if (typeof x === 'object' && x !== null) return {x: x.x, y: x.y};
+    return {x: x, y: y};
+}
+
+/**
+ * @private
+ * 射线法判断点是否在多边形内部
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<Array<number>>} polygon - [[x, y], ...]
+ */
+function _pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * @private
+ * 判断线段 p1p2 与 p3p4 是否相交 (包括端点相接和共线重叠)
+ */
+function _segmentsIntersect(p1, p2, p3, p4) {
+    const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    const d1 = cross(p3, p4, p1), d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3), d4 = cross(p1, p2, p4);
+    if (d1 === 0 && d2 === 0) {
+        // 共线时比较两条线段在坐标轴上的投影是否重叠
+        const overlap = k => Math.max(Math.min(p1[k], p2[k]), Math.min(p3[k], p4[k])) <=
+                             Math.min(Math.max(p1[k], p2[k]), Math.max(p3[k], p4[k]));
+        return overlap(0) && overlap(1);
+    }
+    return d1 * d2 <= 0 && d3 * d4 <= 0;
+}
+
+/**
+ * @private
+ * 判断两个多边形是否重叠：边相交，或者一个完全在另一个内部
+ * @param {Array<Array<number>>} a - [[x, y], ...]
+ * @param {Array<Array<number>>} b
+ */
+function _polygonsIntersect(a, b) {
+    if (!a.length || !b.length) return false;
+    for (let i = 0, j = a.length - 1; i < a.length; j = i++) {
+        for (let k = 0, l = b.length - 1; k < b.length; l = k++) {
+            if (_segmentsIntersect(a[j], a[i], b[l], b[k])) return true;
+        }
+    }
+    return _pointInPolygon(a[0][0], a[0][1], b) || _pointInPolygon(b[0][0], b[0][1], a);
+}
+
+/**
+ * @private
+ * 按边界策略 (参见 Turtle#edgepolicy) 把从 (x0, y0) 到 (x1, y1) 的直线移动拆成依次执行的若干段 [{x, y, jump, flipX, flipY}]。
+ * box 为边界 {llx, lly, urx, ury}。jump 表示瞬移到 (x, y)，即 'wrap' 时从对边出现；
+ * flipX/flipY 表示 'bounce' 时在该段的终点碰到了左右/上下边界。起点已在边界之外的方向不受限制。
+ */
+function _edgeLegs(x0, y0, x1, y1, box, policy) {
+    if (policy === 'none') return [{x: x1, y: y1}];
+    const legs = [];
+    // 移动的距离是边界大小的很多倍时 ('wrap'/'bounce')，最多拆成这么多段
+    for (let n = 0; n < 10000; n++) {
+        const dx = x1 - x0, dy = y1 - y0;
+        const exitX = dx > 0 && x0 <= box.urx ? (box.urx - x0) / dx : dx < 0 && x0 >= box.llx ? (box.llx - x0) / dx : Infinity;
+        const exitY = dy > 0 && y0 <= box.ury ? (box.ury - y0) / dy : dy < 0 && y0 >= box.lly ? (box.lly - y0) / dy : Infinity;
+        const t     = Math.min(exitX, exitY);
+        if (t >= 1) {
+            legs.push({x: x1, y: y1});
+            return legs;
+        }
+
+        const hitX = exitX === t, hitY = exitY === t;
+        const x    = hitX ? (dx > 0 ? box.urx : box.llx) : x0 + dx * t;
+        const y    = hitY ? (dy > 0 ? box.ury : box.lly) : y0 + dy * t;
+        if (policy === 'stop') {
+            legs.push({x, y});
+            return legs;
+        }
+        if (policy === 'wrap') {
+            const shiftX = hitX ? (dx > 0 ? box.llx - box.urx : box.urx - box.llx) : 0;
+            const shiftY = hitY ? (dy > 0 ? box.lly - box.ury : box.ury - box.lly) : 0;
+            legs.push({x, y}, {x: x + shiftX, y: y + shiftY, jump: true});
+            x0  = x + shiftX;
+            y0  = y + shiftY;
+            x1 += shiftX;
+            y1 += shiftY;
         } else {
-             // 如果未提供 target，则创建一个默认的
-            this.canvas      = document.createElement('canvas');
-            this.canvas.id   = 'turtle-canvas';
-            document.body.appendChild(this.canvas);
-            this.ctx         = this.canvas.getContext('2d');
-            this.canvas.width  = width;
-            this.canvas.height = height;
+            // 'bounce'：剩下的路程关于碰到的边界做镜像
+            legs.push({x, y, flipX: hitX, flipY: hitY});
+            if (hitX) x1 = 2 * x - x1;
+            if (hitY) y1 = 2 * y - y1;
+            x0 = x;
+            y0 = y;
         }
+    }
+    return legs;
+}
 
-        // 确保宽高被设置，以防传入的 canvas 没有设置
-        if (!this.canvas.width) this.canvas.width = width;
-        if (!this.canvas.height) this.canvas.height = height;
+/**
+ * @private
+ * 把 KeyboardEvent.key 转换为 Python turtle (Tk) 使用的按键名，例如 'ArrowUp' -> 'Up'
+ */
+const _KEYSYMS = {
+    'ArrowUp': 'Up', 'ArrowDown': 'Down', 'ArrowLeft': 'Left', 'ArrowRight': 'Right',
+    ' ': 'space', 'Enter': 'Return', 'Backspace': 'BackSpace',
+};
 
-        this._registerDefaultShapes();
-        // 启动命令处理循环
-        requestAnimationFrame(() => this._processQueue());
+/**
+ * @private
+ * 判断键盘事件是否匹配绑定的按键名。既接受 Tk 风格的名字 ('Up'、'space')，也接受 KeyboardEvent.key 的原始值。
+ */
+function _keyMatches(key, event) {
+    return key === null || key === event.key || key === _KEYSYMS[event.key];
+}
+
+/**
+ * @private
+ * 向一组事件处理器中添加或替换回调 (与 Python 的 add 参数语义一致)，fn 为 null 时移除全部
+ */
+function _bindHandler(handlers, fn, add) {
+    if (fn === null || fn === undefined) return [];
+    return add ? [...handlers, fn] : [fn];
+}
+
+/**
+ * @private
+ * 不会被记录进撤销缓冲区的命令。clear/reset 与 Python 一样会直接清空缓冲区。
+ */
+const _UNDO_EXEMPT_COMMANDS = ['undo', 'setundobuffer', 'clear', 'reset', 'barrier', 'layer', 'edgepolicy'];
+
+/**
+ * @private
+ * replay() 可以执行的海龟命令。程序文件只能调用这些命令 (参数原样进入队列)，不会执行任意代码。
+ */
+const _TURTLE_COMMANDS = [
+    'forward', 'backward', 'right', 'left', 'goto', 'circle', 'dot', 'write', 'setheading', 'teleport',
+    'pencolor', 'fillcolor', 'color', 'pensize', 'penup', 'pendown', 'pen', 'penstyle', 'fillrule',
+    'begin_fill', 'end_fill', 'begin_poly', 'end_poly', 'stamp', 'clearstamp', 'clearstamps',
+    'shape', 'shapesize', 'shearfactor', 'tilt', 'shapetransform', 'hideturtle', 'showturtle',
+    'clear', 'reset', 'undo', 'setundobuffer', 'clone', 'layer', 'edgepolicy',
+];
+
+/**
+ * @private
+ * 程序文件中除队列命令以外的条目：它们在原程序中立即生效，replay() 时也在相同的位置立即执行
+ */
+const _PROGRAM_EVENTS = ['new', 'speed', 'concurrent', 'register_shape', 'barrier'];
+
+/**
+ * @private
+ * replay() 可以执行的屏幕命令，通过对应的公共方法重新入队
+ */
+const _SCREEN_COMMANDS = ['bgcolor', 'mode', 'setworldcoordinates', 'tracer', 'delay', 'update'];
+
+/**
+ * @private
+ * Screen.registerCommand() 注册的插件命令：名字到 {animate, execute, validate}
+ */
+const _pluginCommands = new Map();
+
+/**
+ * @private
+ * Turtle.registerMethod() 添加的方法名，expose() 会一并暴露它们
+ */
+const _pluginMethods = [];
+
+/**
+ * @private
+ * 海龟的各种绘图记录和保存它们的数组，参见 Screen#_paintOrder
+ */
+const _RECORD_KINDS = [['fill', 'fills'], ['stroke', 'path'], ['writing', 'writings'], ['dot', 'dots'], ['stamp', 'stamps']];
+
+/**
+ * @private
+ * turtles 所在的图层编号 (参见 Turtle#layer)，从下到上排列
+ */
+function _sortedLayers(turtles) {
+    return [...new Set(turtles.map(turtle => turtle._layer))].sort((a, b) => a - b);
+}
+
+/**
+ * @private
+ * 把 write() 的 [名称, 大小, 类型] 换算为 CSS 字体字符串，大小以 pt 为单位
+ */
+function _fontString([name = 'Arial', size = 8, type = 'normal']) {
+    return `${type} ${size}pt ${name}`;
+}
+
+/**
+ * @private
+ * 深拷贝一个可以 JSON 化的值 (同时丢弃函数、图像等无法序列化的内容)
+ */
+function _jsonCopy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * @private
+ * 解析程序或状态文档 (JSON 字符串或对象)，并检查格式
+ * @param {string|object} json
+ * @param {string} format - 'turtle-program' 或 'turtle-state'
+ */
+function _parseDocument(json, format) {
+    const doc = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!doc || doc.format !== format) {
+        throw new TurtleGraphicsError(`Not a ${format} document.`);
+    }
+    if (doc.version !== 1) {
+        throw new TurtleGraphicsError(`Unsupported ${format} version: ${doc.version}`);
+    }
+    return doc;
+}
+
+/**
+ * @private
+ * 把一个形状序列化为普通对象。通过图像元素 (而不是 URL) 注册的图像无法序列化，返回 null。
+ */
+function _serializeShape(shape) {
+    if (shape._type === 'image') {
+        return shape._url === null ? null : {type: 'image', url: shape._url};
+    }
+    return {type: shape._type, data: _jsonCopy(shape._data)};
+}
+
+/**
+ * @private
+ * _serializeShape 的逆操作。复合形状的颜色在序列化前已经解析过，直接使用。
+ */
+function _deserializeShape(data) {
+    if (data.type === 'image') return new Shape('image', data.url);
+    if (data.type === 'compound') {
+        const shape = new Shape('compound');
+        shape._data = data.data.map(c => ({poly: Shape._toPolygon(c.poly), fill: c.fill, outline: c.outline}));
+        return shape;
+    }
+    return new Shape(data.type, data.data);
+}
+
+/**
+ * @private
+ * 关闭动画时，每一帧用于执行命令的时间预算 (毫秒)，避免长时间阻塞页面
+ */
+const _FRAME_BUDGET = 12;
+
+/**
+ * @private
+ * linecap()/linejoin()/blendmode() 接受的取值
+ */
+const _LINE_CAPS   = ['butt', 'round', 'square'];
+const _LINE_JOINS  = ['miter', 'round', 'bevel'];
+const _BLEND_MODES = [
+    'source-over', 'source-in', 'source-out', 'source-atop',
+    'destination-over', 'destination-in', 'destination-out', 'destination-atop',
+    'lighter', 'copy', 'xor', 'multiply', 'screen', 'overlay', 'darken', 'lighten',
+    'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion',
+    'hue', 'saturation', 'color', 'luminosity',
+];
+
+/**
+ * @private
+ * edgepolicy() 接受的取值
+ */
+const _EDGE_POLICIES = ['none', 'wrap', 'bounce', 'stop'];
+
+/**
+ * @private
+ * 判断一个图像是否已经可以绘制。HTMLImageElement 需要加载完成，canvas、ImageBitmap 等总是可用。
+ */
+function _imageReady(image) {
+    if (!image) return false;
+    if (image.complete === undefined) return true;
+    return image.complete && (image.naturalWidth || image.width) > 0;
+}
+
+/**
+ * @private
+ * 把 shapetransform() 的矩阵分解为倾斜角、拉伸和剪切 (与 Python turtle 的算法相同)。
+ * 矩阵作用于 Shape 的坐标 (y 轴朝前，x 轴朝右)，等于 R(tilt) · [[1, shear], [0, 1]] · diag(stretch_wid, stretch_len)。
+ * @param {Array<number>} matrix - [t11, t12, t21, t22]
+ */
+function _decomposeShapeTransform([m11, m12, m21, m22]) {
+    const tilt = (Math.atan2(-m21, m11) + 2 * Math.PI) % (2 * Math.PI);
+    const sa   = Math.sin(tilt), ca = Math.cos(tilt);
+    const a11  = ca * m11 - sa * m21;
+    const a12  = ca * m12 - sa * m22;
+    const a22  = sa * m12 + ca * m22;
+    return {stretch: [a11, a22], shear: a12 / a22, tilt: tilt};
+}
+
+/**
+ * 海龟形状，与 Python turtle 的 Shape 对应。
+ * 多边形的坐标以像素为单位，y 轴指向海龟前方，x 轴指向海龟右侧 (与 Python 相同)，
+ * 因此 get_poly() 在海龟朝北 (standard 模式下 setheading(90)) 时记录的路径可以直接注册为形状。
+ * - 'polygon': data 为顶点数组 [[x, y], ...]，使用海龟的画笔颜色和填充颜色绘制
+ * - 'image':   data 为图像 (Image、canvas、ImageBitmap 等) 或图像的 URL；图像不随朝向旋转
+ * - 'compound': 由 addcomponent() 添加的多个各自带颜色的多边形组成
+ */
+class Shape {
+    /**
+     * @param {'polygon'|'image'|'compound'} type
+     * @param {Array|string|object} [data]
+     */
+    constructor(type, data) {
+        this._type = type;
+        if (type === 'polygon') {
+            this._data = Shape._toPolygon(data);
+        } else if (type === 'image') {
+            this._url  = typeof data === 'string' ? data : null;
+            this._data = this._url === null ? data : Shape._loadImage(this._url);
+        } else if (type === 'compound') {
+            this._data = [];
+        } else {
+            throw new TurtleGraphicsError(`There is no shape type ${type}`);
+        }
+    }
+
+    /**
+     * 向复合形状添加一个多边形
+     * @param {Array} poly - 顶点数组 [[x, y], ...]
+     * @param {string|Array<number>|object} fill - 填充颜色，接受的形式见 Screen#colormode
+     * @param {string|Array<number>|object} [outline] - 轮廓颜色，默认与填充颜色相同
+     */
+    addcomponent(poly, fill, outline = null) {
+        if (this._type !== 'compound') {
+            throw new TurtleGraphicsError(`Cannot add component to ${this._type} Shape`);
+        }
+        // 颜色在 register_shape() 时按屏幕的 colormode 解析
+        this._data.push({poly: Shape._toPolygon(poly), fill: fill, outline: outline === null ? fill : outline});
+        return this;
+    }
+
+    /**
+     * @private
+     * 把顶点数组统一为 [[x, y], ...]，同时接受 {x, y} 形式的点
+     */
+    static _toPolygon(points) {
+        if (!Array.isArray(points) || points.length < 2) {
+            throw new TurtleGraphicsError('A polygon shape needs an array of at least two points');
+        }
+        return points.map(pt => {
+            const p = _toPoint(pt);
+            return [p.x, p.y];
+        });
+    }
+
+    /**
+     * @private
+     * 在浏览器中按 URL 加载图像；没有 Image 构造函数时返回 null (该形状不会被绘制)
+     */
+    static _loadImage(url) {
+        if (typeof Image === 'undefined') return null;
+        const image = new Image();
+        image.src   = url;
+        return image;
+    }
+}
+
+/**
+ * Screen 类 - 管理画布、海龟和命令队列
+ * 它是所有海龟绘图的“舞台”或“世界”。
+ */
+class Screen {
+    /**
+     * Screen 构造函数
+     * @param {string|HTMLCanvasElement|OffscreenCanvas|CanvasRenderingContext2D} target - Canvas 的 id、Canvas 元素 (包括 OffscreenCanvas)，或者任何兼容 2D 渲染上下文接口的对象。
+     * @param {number} [width=1000] - 画布宽度 (如果需要创建新的 canvas)。
+     * @param {number} [height=800] - 画布高度 (如果需要创建新的 canvas)。
+     * @param {object} [options] - 其他选项
+     * @param {object} [options.scheduler] - 自定义的帧/计时器来源，可只提供部分字段：
+     *   `requestFrame(cb)`、`cancelFrame(id)`、`setTimeout(fn, ms)`、`clearTimeout(id)`、`now()`。
+     *   在 Node 或 Web Worker 中没有 requestAnimationFrame 时会自动退回到 setTimeout。
+     * @param {function(number, number): object} [options.createCanvas] - 创建离屏画布的工厂函数，
+     *   默认使用 OffscreenCanvas 或 document.createElement('canvas')。
+     * @param {boolean} [options.concurrent=false] - 是否启用并发模式，参见 concurrent()
+     * @param {number} [options.pixelRatio] - 画布像素与 CSS 像素之比。默认对页面中的 canvas 使用 devicePixelRatio
+     *   (高分屏上画面清晰)，其他画布为 1。
+     */
+    constructor(target, width = 1000, height = 800, options = {}) {
+        this.turtles      = [];
+        this.bgColor      = '#ffffff'; // 默认背景色为白色
+        this._colormode   = 255;  // 参见 colormode()，保持 0-255 的默认值以兼容已有的 pencolor(255, 0, 0) 调用
+        this.commandQueue = [];
+        this.isBusy       = false;
+        this._shapes      = {};
+        this._lastCommand = Promise.resolve(); // 最近一个入队命令的完成 Promise
+        this._concurrent  = !!options.concurrent; // 是否每只海龟使用独立的命令队列
+        this._mode        = 'standard'; // 'standard'、'logo' 或 'world'
+        this._pendingWorld = null;      // 最近一次入队的坐标系，mode('world') 沿用它
+        this._world       = null;       // setworldcoordinates 设置的 {llx, lly, urx, ury}，null 表示以像素为单位、原点居中
+        this._animations  = []; // 进行中的动画，由 _tick 统一推进
+        this._lastTick    = null;
+        this._dirty       = false;
+        this._tracing     = 1;  // 参见 tracer()
+        this._updateCounter = 0;
+        this._delayValue  = 0;  // 参见 delay()，单位毫秒
+        this._pendingTracer = {n: 1, delay: 0}; // 最近一次入队的 tracer/delay 设置，供 getter 返回
+        this._scheduler   = Object.assign(_createDefaultScheduler(), options.scheduler);
+        this._canvasFactory = options.createCanvas || null;
+        this._recorder    = null; // 正在进行的动画录制
+        this._clickHandlers = {};   // 按鼠标键 (1/2/3) 分组的屏幕点击回调
+        this._keyHandlers   = {press: [], release: []}; // 键盘回调 {key, fn}
+        this._domListeners  = [];   // 已注册的 DOM 事件，便于统一移除
+        this._timers        = new Set(); // ontimer 创建的计时器
+        this._pointerBound  = false;
+        this._keysBound     = false;
+        this._pressed       = null; // 当前被按下的海龟 {turtle, btn}
+        this._nextStampId   = 1;     // stamp() 返回的编号，在整个屏幕内唯一
+        this._nextTurtleId  = 1;     // 海龟的编号 (Turtle#id)，在整个屏幕内唯一
+        this._capture       = null;  // startCapture() 开始后记录的程序文档
+        this._current       = null;  // 屏幕队列中正在执行的命令，cancel() 时需要中止它
+        this._paused        = false; // 参见 pause()
+        this._stepping      = null;  // 进行中的 step() {started, resolve, promise}
+        this._playbackRate  = 1;     // 参见 playbackRate()
+        this._commandHandlers = {start: [], done: []}; // 命令开始/完成时的回调
+        this._annotation    = null;  // 参见 annotate()
+        this._frameId       = null;  // 已经请求的下一帧，null 表示帧循环在休眠
+        this._ticking       = false; // 是否正在执行 _tick
+        this._destroyed     = false; // 参见 bye()
+        this._layerSize     = {width: 0, height: 0}; // 图层缓存对应的画布尺寸，尺寸变化时全部重建
+        this._layersStale   = false;
+        this._caches        = new Map(); // 每个图层的渲染缓存，参见 _syncCache
+        this._nextSeq       = 1;     // 下一条绘图记录的序号，所有海龟共用，决定绘制的先后
+        this._canLayer      = null;  // 能否创建离屏画布，首次重绘时检测
+        this._blendUsed     = false; // 是否有海龟使用过 source-over 以外的混合模式
+        this._width         = width;  // 窗口 (可见区域) 的大小，单位为 CSS 像素，参见 setup()
+        this._height        = height;
+        this._pixelRatio    = 1;      // 画布像素与 CSS 像素之比
+        this._fixedRatio    = options.pixelRatio || null; // 指定时不再跟随 devicePixelRatio
+        this._backingSize   = null;   // 最近一次设置的画布像素尺寸，用于发现外部对 canvas 尺寸的修改
+        this._ownsStyle     = false;  // 是否由我们设置画布的 CSS 尺寸
+        this._setupFraction = null;   // setup() 中按窗口比例给出的尺寸，浏览器窗口大小变化时重新计算
+        this._areaSize      = null;   // screensize() 设置的绘图区大小，null 表示与窗口相同
+        this._view          = {x: 0, y: 0, zoom: 1}; // 可见区域中心的海龟坐标和缩放倍数
+        this._wheelBound    = false;
+        this._resizeBound   = false;
+
+        if (_isContext2D(target)) {
+            // 如果传入的是一个 context (或兼容它的对象)
+            this.ctx    = target;
+            this.canvas = this.ctx.canvas || {width: width, height: height};
+        } else if (_isCanvas(target)) {
+            // 如果传入的是一个 canvas 元素或 OffscreenCanvas
+            this.canvas = target;
+            this.ctx    = this.canvas.getContext('2d');
+        } else if (typeof target === 'string') {
+            // 如果传入的是 canvas 的 id
+            if (typeof document === 'undefined') {
+                throw new TurtleGraphicsError(`Cannot look up canvas "${target}" without a DOM; pass a canvas or 2D context instead.`);
+            }
+            const canvas = document.getElementById(target);
+            if (canvas) {
+                this.canvas = canvas;
+                this.ctx    = this.canvas.getContext('2d');
+            } else {
+                // 如果找不到 id 对应的 canvas，则创建一个新的
+                this.canvas      = document.createElement('canvas');
+                this.canvas.id   = target;
+                document.body.appendChild(this.canvas);
+                this.ctx         = this.canvas.getContext('2d');
+                this.canvas.width  = width;
+                this.canvas.height = height;
+            }
+        } else if (typeof document !== 'undefined') {
+             // 如果未提供 target，则创建一个默认的
+            this.canvas      = document.createElement('canvas');
+            this.canvas.id   = 'turtle-canvas';
+            document.body.appendChild(this.canvas);
+            this.ctx         = this.canvas.getContext('2d');
+            this.canvas.width  = width;
+            this.canvas.height = height;
+        } else if (typeof OffscreenCanvas !== 'undefined') {
+            // 没有 DOM (例如在 Web Worker 中)，则在内存中创建一个画布
+            this.canvas = new OffscreenCanvas(width, height);
+            this.ctx    = this.canvas.getContext('2d');
+        } else {
+            throw new TurtleGraphicsError('No canvas available: pass a canvas or 2D context when running without a DOM.');
+        }
+
+        if (!this.ctx) {
+            throw new TurtleGraphicsError('Failed to obtain a 2D rendering context from the canvas.');
+        }
+
+        // 确保宽高被设置，以防传入的 canvas 没有设置
+        if (!this.canvas.width) this.canvas.width = width;
+        if (!this.canvas.height) this.canvas.height = height;
+        this._width  = this.canvas.width;
+        this._height = this.canvas.height;
+        this._applySize();
+
+        this._registerDefaultShapes();
+        _screensByTarget.set(this.ctx, this);
+        _screensByTarget.set(this.canvas, this);
+        // 启动命令处理循环
+        this._wake();
+    }
+
+    /**
+     * @private
+     * 通过调度器请求下一帧，回调会收到当前时间戳
+     */
+    _requestFrame(callback) {
+        return this._scheduler.requestFrame(callback);
+    }
+
+    /**
+     * @private
+     * 当前时间 (毫秒)，与帧回调收到的时间戳处于同一时间轴
+     */
+    _now() {
+        return this._scheduler.now();
+    }
+
+    /**
+     * @private
+     * 创建一个离屏画布，无法创建时返回 null
+     */
+    _createCanvas(width, height) {
+        if (this._canvasFactory) return this._canvasFactory(width, height);
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        if (typeof document !== 'undefined') {
+            const canvas  = document.createElement('canvas');
+            canvas.width  = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     * 注册所有内置的海龟形状
+     */
+    _registerDefaultShapes() {
+        const circle = [];
+        for (let i = 0; i < 36; i++) {
+            const rad = i * Math.PI / 18;
+            circle.push([7 * Math.sin(rad), 7 * Math.cos(rad)]);
+        }
+        this._shapes = {};
+        this._shapes['arrow']   = new Shape('polygon', [[5, -10], [0, 0], [-5, -10]]);
+        this._shapes['turtle']  = new Shape('polygon', [[0, 10], [-2, 8], [-7, 9], [-9, 7], [-10, 0], [-9, -7], [-7, -9], [-2, -8], [0, -10], [2, -8], [7, -9], [9, -7], [10, 0], [9, 7], [7, 9], [2, 8]]);
+        this._shapes['circle']  = new Shape('polygon', circle);
+        this._shapes['square']  = new Shape('polygon', [[5, 5], [-5, 5], [-5, -5], [5, -5]]);
+        this._shapes['triangle']= new Shape('polygon', [[-8, -7], [8, -7], [0, 8]]);
+        this._shapes['classic'] = new Shape('polygon', [[0, 0], [-5, -10], [5, -10]]);
+    }
+
+    /**
+     * 注册一个新的海龟形状，之后可以通过 turtle.shape(name) 使用。立即生效。
+     * - register_shape(name, [[x, y], ...]): 多边形，坐标含义见 Shape
+     * - register_shape(name, url | image): 图像
+     * - register_shape(name, shape): Shape 实例，例如复合形状
+     * - register_shape(url): 以图像的 URL 作为名字 (与 Python 使用 gif 文件名的方式相同)
+     * @param {string} name
+     * @param {Array|string|object|Shape} [shape]
+     */
+    register_shape(name, shape) {
+        if (shape === undefined) {
+            shape = new Shape('image', name);
+        } else if (!(shape instanceof Shape)) {
+            shape = Array.isArray(shape) ? new Shape('polygon', shape) : new Shape('image', shape);
+        }
+        if (shape._type === 'compound') {
+            // 按当前 colormode 解析各部分的颜色，同时校验它们
+            const resolved = new Shape('compound');
+            resolved._data = shape._data.map(c => ({
+                poly: c.poly,
+                fill: _parseColor([c.fill], this._colormode),
+                outline: _parseColor([c.outline], this._colormode),
+            }));
+            shape = resolved;
+        }
+        const image = shape._type === 'image' ? shape._data : null;
+        if (image && !_imageReady(image) && typeof image.addEventListener === 'function') {
+            // 图像加载完成后重绘，让使用它的海龟显示出来
+            image.addEventListener('load', () => {
+                this._dirty = true;
+                this._wake();
+            });
+        }
+        this._shapes[name] = shape;
+        if (this._capture) {
+            const data = _serializeShape(shape);
+            if (data) this._capture.commands.push({turtle: null, name: 'register_shape', args: [name, data]});
+        }
+        return this;
+    }
+    addshape(name, shape) { return this.register_shape(name, shape); }
+
+    /**
+     * 返回所有已注册形状的名字
+     * @returns {Array<string>}
+     */
+    getshapes() {
+        return Object.keys(this._shapes).sort();
+    }
+
+    /**
+     * 创建一个新的海龟实例并将其与此屏幕关联
+     * @returns {Turtle} 新创建的海龟实例
+     */
+    createTurtle() {
+        const turtle = new Turtle(this);
+        return turtle;
+    }
+    
+    /**
+     * 设置或返回画布的背景颜色
+     * @param {...*} [color] - 颜色，接受的形式见 colormode()；省略时返回当前背景色的元组
+     */
+    bgcolor(...color) {
+        if (color.length === 0) return _colorTuple(this.bgColor, this._colormode);
+        // bgcolor 是屏幕指令，没有关联特定 turtle
+        const css = _parseColor(color, this._colormode);
+        this._enqueue({name: 'bgcolor', args: [css], turtle: null});
+        return this;
+    }
+
+    /**
+     * 设置或返回颜色模式，与 Python 相同。立即生效。
+     * 颜色可以是颜色名、'#rrggbb'、CSS 的 rgb()/hsl() 字符串、(r, g, b[, a]) 数值、
+     * {r, g, b, a}、{h, s, l, a} 或 {h, s, v, a} 对象。
+     * 数值形式的 r/g/b 按颜色模式解释：1.0 时取值 0-1，255 时取值 0-255 (默认)；透明度 a 总是 0-1。
+     * 颜色的 getter 也按当前颜色模式返回元组。
+     * @param {number} [cmode] - 1.0 或 255，其他值会被忽略
+     * @returns {number|Screen} 不带参数时返回当前的颜色模式
+     */
+    colormode(cmode) {
+        if (cmode === undefined) return this._colormode;
+        if (cmode === 1 || cmode === 255) this._colormode = cmode;
+        return this;
+    }
+
+    /**
+     * 设置或返回海龟模式，并重置所有海龟。
+     * - 'standard': 初始朝向为东，角度逆时针增加 (默认)
+     * - 'logo': 初始朝向为北，角度顺时针增加
+     * - 'world': 与 standard 相同，但使用 setworldcoordinates() 设置的自定义坐标系
+     * @param {string} [mode] - 省略时返回当前模式
+     */
+    mode(mode) {
+        if (mode === undefined) return this._mode;
+        if (!['standard', 'logo', 'world'].includes(mode)) {
+            throw new TurtleGraphicsError(`Unknown mode: ${mode}. Expected 'standard', 'logo' or 'world'.`);
+        }
+        // 模式立即生效，这样之后入队的角度参数按新模式解释；坐标系切换和重置则按队列顺序执行，
+        // 只有速度和 speed() 一样立即重置
+        this._mode = mode;
+        const world = mode === 'world' ? this._pendingWorld || null : null;
+        this._pendingWorld = world;
+        this.turtles.forEach(turtle => turtle._resetSpeed());
+        this._enqueue({name: 'mode', args: [mode, world], turtle: null});
+        return this;
+    }
+
+    /**
+     * 设置自定义坐标系：画布左下角为 (llx, lly)，右上角为 (urx, ury)，并切换到 'world' 模式。
+     * 如果之前不是 'world' 模式，所有海龟会被重置 (与 Python 一致)。
+     * 两个方向的比例不同时，角度会随之变形。
+     * @param {number} llx - 左下角 x
+     * @param {number} lly - 左下角 y
+     * @param {number} urx - 右上角 x
+     * @param {number} ury - 右上角 y
+     */
+    setworldcoordinates(llx, lly, urx, ury) {
+        if (llx === urx || lly === ury) {
+            throw new TurtleGraphicsError('setworldcoordinates() needs a non-empty rectangle.');
+        }
+        const needsReset   = this._mode !== 'world';
+        const world        = {llx, lly, urx, ury};
+        this._mode         = 'world';
+        this._pendingWorld = world;
+        if (needsReset) this.turtles.forEach(turtle => turtle._resetSpeed());
+        this._enqueue({name: 'setworldcoordinates', args: [world, needsReset], turtle: null});
+        return this;
+    }
+
+    /**
+     * 设置窗口 (画布在页面上的可见区域) 的大小，单位为 CSS 像素。画面会立即按新的大小重绘，已有的绘图保持在原来的海龟坐标上。
+     * 与 Python 一致，不大于 1 的数表示占浏览器窗口的比例；此时浏览器窗口大小变化后画布会自动跟着调整，适合响应式页面。
+     * @param {number} [width] - 宽度，省略时不变
+     * @param {number} [height] - 高度，省略时不变
+     * @param {number} [startx] - 为了与 Python 兼容而保留，网页中的画布位置由页面布局决定，忽略
+     * @param {number} [starty] - 同上
+     * @example
+     * screen.setup(1.0, 0.6); // 占满浏览器窗口的宽度和 60% 的高度
+     */
+    setup(width, height, startx, starty) {
+        const isFraction = v => v !== undefined && v > 0 && v <= 1;
+        const fraction   = {width: isFraction(width) ? width : null, height: isFraction(height) ? height : null};
+        for (const v of [width, height]) {
+            if (v !== undefined && !(typeof v === 'number' && v > 0 && isFinite(v))) {
+                throw new TurtleGraphicsError(`bad window size: ${v}`);
+            }
+        }
+        if (width !== undefined && !fraction.width) this._width = Math.round(width);
+        if (height !== undefined && !fraction.height) this._height = Math.round(height);
+        this._ownsStyle = !!this.canvas.style;
+
+        this._setupFraction = (fraction.width || fraction.height) && typeof window !== 'undefined' ? fraction : null;
+        if (this._setupFraction) {
+            this._resizeToWindow();
+            if (!this._resizeBound) {
+                this._resizeBound = true;
+                this._addDomListener(window, 'resize', () => this._setupFraction && this._resizeToWindow());
+            }
+        }
+        this._applySize();
+        return this;
+    }
+
+    /**
+     * @private
+     * 按 setup() 中给出的比例和浏览器窗口的当前大小重新计算窗口大小
+     */
+    _resizeToWindow() {
+        const fraction = this._setupFraction;
+        if (fraction.width) this._width = Math.max(1, Math.round(window.innerWidth * fraction.width));
+        if (fraction.height) this._height = Math.max(1, Math.round(window.innerHeight * fraction.height));
+        this._applySize();
+    }
+
+    /**
+     * 返回窗口的宽度 (CSS 像素)
+     * @returns {number}
+     */
+    window_width() {
+        return this._width;
+    }
+
+    /**
+     * 返回窗口的高度 (CSS 像素)
+     * @returns {number}
+     */
+    window_height() {
+        return this._height;
+    }
+
+    /**
+     * 设置或返回绘图区的大小。绘图区比窗口大时，可以用 scrollto()、zoom() 或鼠标滚轮 (按住 Ctrl 缩放) 查看其他部分；
+     * world 模式下 setworldcoordinates 的矩形对应整个绘图区。
+     * @param {number} [canvwidth] - 绘图区宽度 (CSS 像素)，省略全部参数时返回 [宽, 高]
+     * @param {number} [canvheight] - 绘图区高度
+     * @param {*} [bg] - 同时设置背景色
+     * @returns {Array<number>|Screen}
+     */
+    screensize(canvwidth, canvheight, bg) {
+        if (canvwidth === undefined && canvheight === undefined && bg === undefined) {
+            const area = this._drawingArea();
+            return [area.width, area.height];
+        }
+        const area = this._drawingArea();
+        const size = {width: canvwidth === undefined ? area.width : canvwidth, height: canvheight === undefined ? area.height : canvheight};
+        if (!(size.width > 0 && size.height > 0 && isFinite(size.width) && isFinite(size.height))) {
+            throw new TurtleGraphicsError(`bad screen size: ${canvwidth}, ${canvheight}`);
+        }
+        this._areaSize = size;
+        this._bindWheel();
+        this._viewChanged();
+        if (bg !== undefined) this.bgcolor(bg);
+        return this;
+    }
+
+    /**
+     * 设置或返回可见区域的缩放倍数，以窗口中心为中心缩放
+     * @param {number} [factor] - 大于 1 放大，小于 1 缩小；省略时返回当前倍数
+     */
+    zoom(factor) {
+        if (factor === undefined) return this._view.zoom;
+        if (!(typeof factor === 'number' && factor > 0 && isFinite(factor))) {
+            throw new TurtleGraphicsError(`bad zoom factor: ${factor}`);
+        }
+        this._bindWheel();
+        this._zoomAt(factor, this._width / 2, this._height / 2);
+        return this;
+    }
+
+    /**
+     * 滚动绘图区，使海龟坐标 (x, y) 位于窗口中心 (受绘图区边界限制)
+     * @param {number|Array<number>|Turtle} [x] - 省略全部参数时返回当前窗口中心的海龟坐标 [x, y]
+     * @param {number} [y]
+     */
+    scrollto(x, y) {
+        if (x === undefined) {
+            const center = this._fromView(this._width / 2, this._height / 2);
+            const p      = this._fromCanvas(center.x, center.y);
+            return [p.x, p.y];
+        }
+        const target = _toPoint(x, y);
+        const c      = this._toCanvas(target.x, target.y);
+        this._setView(c.x, c.y, this._view.zoom);
+        return this;
+    }
+
+    /**
+     * 开启/关闭海龟动画，并设置画面更新的频率 (与 Python 的 tracer 相同)。
+     * - tracer(1): 正常播放动画 (默认)
+     * - tracer(0): 关闭动画且不再更新画面，直到调用 update()
+     * - tracer(n): 关闭动画，每 n 次更新才真正重绘一次
+     * 关闭动画时一帧内会连续执行许多命令，绘制大型分形时几乎瞬间完成。
+     * 设置会按队列顺序生效。
+     * @param {number} [n] - 省略时返回当前设置
+     * @param {number} [delay] - 同时设置 delay()
+     * @example
+     * screen.tracer(0);
+     * drawFractal(t, 8);
+     * screen.update();
+     */
+    tracer(n, delay) {
+        if (n === undefined) return this._pendingTracer.n;
+        this._pendingTracer.n = n;
+        if (delay !== undefined) this._pendingTracer.delay = delay;
+        this._enqueue({name: 'tracer', args: [n, delay], turtle: null});
+        return this;
+    }
+
+    /**
+     * 设置或返回绘图延迟：每个命令完成后等待多少毫秒再开始下一个命令。设置会按队列顺序生效。
+     * @param {number} [ms] - 省略时返回当前设置
+     */
+    delay(ms) {
+        if (ms === undefined) return this._pendingTracer.delay;
+        this._pendingTracer.delay = ms;
+        this._enqueue({name: 'delay', args: [ms], turtle: null});
+        return this;
+    }
+
+    /**
+     * 立即重绘画面 (按队列顺序)。通常与 tracer(0) 配合使用。
+     */
+    update() {
+        this._enqueue({name: 'update', args: [], turtle: null});
+        return this;
+    }
+
+    /**
+     * 返回一个 Promise，在此刻之前入队的所有命令都执行完毕后兑现。
+     * 兑现值是屏幕本身，此时读取各海龟的状态即是“队列末尾”的状态。
+     * @returns {Promise<Screen>}
+     * @example
+     * await screen.done();
+     * console.log(t.position());
+     */
+    done() {
+        const pending = [this._lastCommand, ...this.turtles.map(turtle => turtle._lastCommand)];
+        return Promise.all(pending).then(() => this);
+    }
+
+    /**
+     * 暂停执行：正在进行的动画停在原地，队列中的命令不再开始，直到 resume() 或 step()。立即生效。
+     */
+    pause() {
+        this._paused = true;
+        return this;
+    }
+
+    /**
+     * 从暂停处继续执行
+     */
+    resume() {
+        this._paused = false;
+        this._finishStep();
+        this._wake();
+        return this;
+    }
+
+    /**
+     * 是否处于暂停状态
+     * @returns {boolean}
+     */
+    ispaused() {
+        return this._paused;
+    }
+
+    /**
+     * 单步执行：暂停，然后只执行下一个排队的命令 (如果有命令执行到一半，则只把它执行完)。
+     * 并发模式下每只海龟 (以及屏幕) 的队列各执行一个命令。
+     * 上一次 step() 还没有完成时再次调用，返回的是同一个单步。
+     * @returns {Promise<Screen>} 这一步完成时兑现
+     * @example
+     * screen.pause();
+     * nextButton.onclick = () => screen.step();
+     */
+    step() {
+        this._paused = true;
+        if (!this._stepping) {
+            const stepping = {started: false};
+            stepping.promise = new Promise(resolve => { stepping.resolve = resolve; });
+            this._stepping = stepping;
+        }
+        this._wake();
+        return this._stepping.promise;
+    }
+
+    /**
+     * 取消所有尚未完成的命令：排队中的命令被丢弃，正在执行的命令停在当前位置。
+     * 等待这些命令的 done() 以 TurtleGraphicsError 拒绝。暂停状态保持不变。
+     */
+    cancel() {
+        [this, ...this.turtles].forEach(owner => {
+            const dropped = owner.commandQueue.splice(0);
+            if (owner._current) dropped.unshift(owner._current);
+            owner._current      = null;
+            owner.isBusy        = false;
+            owner._resumeAt     = 0;
+            owner._lastCommand  = Promise.resolve();
+            dropped.forEach(command => command.reject(new TurtleGraphicsError(`Command cancelled: ${command.name}`)));
+        });
+        this._animations = [];
+        this.turtles.forEach(turtle => {
+            turtle._liveMove = false; // 中止的移动停在当前位置，提交到图层
+            turtle._fillArc  = false;
+        });
+        this._finishStep();
+        this._requestRedraw();
+        return this;
+    }
+
+    /**
+     * 返回屏幕上所有海龟组成的数组 (副本)
+     * @returns {Turtle[]}
+     */
+    getturtles() {
+        return [...this.turtles];
+    }
+
+    /**
+     * 返回图标覆盖了点 (x, y) 的所有可见海龟，最上面的在前 (与点击时的判断相同)
+     * @param {number|Array|object} x - x 坐标，或者 [x, y] / {x, y}
+     * @param {number} [y] - y 坐标
+     * @returns {Turtle[]}
+     * @example
+     * screen.onclick((x, y) => screen.turtlesAt(x, y).forEach(t => t.hideturtle()));
+     */
+    turtlesAt(x, y) {
+        const point = _toPoint(x, y);
+        const c     = this._toCanvas(point.x, point.y);
+        return this._turtlesAtCanvas(c.x, c.y);
+    }
+
+    /**
+     * 返回所有海龟画出的内容 (路径、填充、文字、点和印记，包括线宽) 的外框，参见 Turtle#bbox
+     * @returns {{llx: number, lly: number, urx: number, ury: number}|null} 海龟坐标，还没有画任何东西时返回 null
+     */
+    bbox() {
+        return this._bbox(this.turtles);
+    }
+
+    /**
+     * 把一只海龟移出屏幕：它和它的绘图不再显示，它还在排队的命令被丢弃 (等待它们的 done() 以 TurtleGraphicsError 拒绝)，
+     * 之后再给它下达命令会抛出 TurtleGraphicsError。立即生效，正在执行的命令会执行完。
+     * @param {Turtle} turtle - 要移除的海龟 (需要在这个屏幕上)
+     */
+    removeTurtle(turtle) {
+        const index = this.turtles.indexOf(turtle);
+        if (index === -1) {
+            throw new TurtleGraphicsError(`removeTurtle() needs a turtle on this screen, got ${turtle}`);
+        }
+        this.turtles.splice(index, 1);
+        this._detachTurtle(turtle);
+        this._requestRedraw();
+        return this;
+    }
+
+    /**
+     * @private
+     * 让已经不在 this.turtles 中的海龟失效，并丢弃它排队中的命令
+     */
+    _detachTurtle(turtle) {
+        turtle._removed = true;
+        this._invalidateLayers(); // 它的绘图已经画进了缓存
+        const dropped = turtle.commandQueue.splice(0);
+        this.commandQueue = this.commandQueue.filter(command => command.turtle !== turtle || !dropped.push(command));
+        dropped.forEach(command => {
+            const gate = command.gate;
+            if (!gate) {
+                command.reject(new TurtleGraphicsError(`Command cancelled: ${command.name}`));
+                return;
+            }
+            // 它不会再到达 barrier，其他队列不必等它
+            if (--gate.size > 0 && gate.waiting.length === gate.size) {
+                gate.waiting.forEach(release => release());
+            }
+            command.resolve();
+        });
+        if (this._pressed && this._pressed.turtle === turtle) this._pressed = null;
+        // 串行模式下屏幕队列的最后一个命令可能刚被丢弃，done() 改为等待剩下的命令
+        if (dropped.some(command => command.promise === this._lastCommand)) {
+            const last = this.commandQueue[this.commandQueue.length - 1] || this._current;
+            this._lastCommand = last ? last.promise : Promise.resolve();
+        }
+    }
+
+    /**
+     * 关闭屏幕：取消所有未完成的命令 (参见 cancel())，停止帧循环和 ontimer 计时器，移除注册的 DOM 事件。
+     * 画布上已有的画面保持不变。之后再给这个屏幕或它的海龟下达命令会抛出 TurtleGraphicsError，
+     * `new Turtle(canvas)` 会为这块画布创建新的 Screen。
+     * @returns {Screen} 此屏幕，与其他屏幕命令一致
+     */
+    bye() {
+        if (this._destroyed) return this;
+        this.cancel();
+        this._destroyed = true;
+        if (this._frameId !== null) {
+            this._scheduler.cancelFrame(this._frameId);
+            this._frameId = null;
+        }
+        this._domListeners.forEach(({target, type, handler}) => target.removeEventListener(type, handler));
+        this._domListeners = [];
+        this._timers.forEach(id => this._scheduler.clearTimeout(id));
+        this._timers.clear();
+        this._recorder = null;
+        this._capture  = null;
+        this._caches.clear(); // 释放离屏画布
+        [this.ctx, this.canvas].forEach(key => {
+            if (_screensByTarget.get(key) === this) _screensByTarget.delete(key);
+        });
+        return this;
+    }
+
+    /**
+     * bye() 的别名
+     */
+    destroy() {
+        return this.bye();
+    }
+
+    /**
+     * 设置或返回整个屏幕的播放速率。它乘在每只海龟的 speed() 之上，同时缩短 delay() 的等待，
+     * 例如 2 表示所有动画都以两倍速播放。立即生效 (包括正在进行的动画)。
+     * @param {number} [rate] - 大于 0 的数，默认 1；省略时返回当前速率
+     */
+    playbackRate(rate) {
+        if (rate === undefined) return this._playbackRate;
+        if (!(typeof rate === 'number' && rate > 0 && isFinite(rate))) {
+            throw new TurtleGraphicsError(`bad playback rate: ${rate}`);
+        }
+        this._playbackRate = rate;
+        return this;
+    }
+
+    /**
+     * 给之后入队的命令附加数据 (例如源代码的行号)，它会出现在 oncommandstart/oncommanddone 回调的参数中
+     * @param {*} data - 传入 null 停止附加
+     * @example
+     * screen.annotate({line: 12});
+     * t.forward(100);
+     */
+    annotate(data) {
+        this._annotation = data === undefined ? null : data;
+        return this;
+    }
+
+    /**
+     * 绑定命令开始执行的事件
+     * @param {function({turtle: (Turtle|null), name: string, args: Array, data: *})|null} fn - 回调；
+     *   turtle 为 null 的是屏幕命令，data 来自 annotate()；传入 null 解除绑定
+     * @param {boolean} [add=false] - 为 true 时追加回调，否则替换已有回调
+     */
+    oncommandstart(fn, add = false) {
+        this._commandHandlers.start = _bindHandler(this._commandHandlers.start, fn, add);
+        return this;
+    }
+
+    /**
+     * 绑定命令执行完毕的事件，回调参数与 oncommandstart() 相同。被 cancel() 的命令不会触发。
+     * 执行失败的命令 (例如插件代码抛出错误) 也会触发，这时参数多一个 error 字段，命令的 Promise 以它拒绝。
+     * @param {function(object)|null} fn
+     * @param {boolean} [add=false]
+     */
+    oncommanddone(fn, add = false) {
+        this._commandHandlers.done = _bindHandler(this._commandHandlers.done, fn, add);
+        return this;
+    }
+
+    /**
+     * 设置或返回是否启用并发模式。
+     * 默认所有海龟共享一个命令队列，严格依次执行；并发模式下每只海龟有自己的队列，
+     * 各自的动画在同一帧里一起推进，而同一只海龟的命令仍然保持顺序。
+     * 需要让多只海龟“对齐”时使用 barrier()。
+     * @param {boolean} [flag] - 省略时返回当前设置
+     */
+    concurrent(flag) {
+        if (flag === undefined) return this._concurrent;
+        this._concurrent = !!flag;
+        if (this._capture) this._capture.commands.push({turtle: null, name: 'concurrent', args: [this._concurrent]});
+        return this;
+    }
+
+    /**
+     * 同步点：并发模式下，所有海龟 (以及屏幕队列) 在此之前入队的命令全部完成后，
+     * 之后入队的命令才会开始执行。串行模式下命令本来就按顺序执行，barrier() 只是一个普通的队列项。
+     * @example
+     * screen.concurrent(true);
+     * t1.forward(200); t2.forward(100);
+     * screen.barrier();           // 等两只海龟都到达
+     * t1.left(90); t2.left(90);
+     */
+    barrier() {
+        const owners  = this._concurrent ? [this, ...this.turtles] : [this];
+        const gate    = {size: owners.length, waiting: []};
+        owners.forEach(owner => this._enqueue({
+            turtle: owner === this ? null : owner,
+            name: 'barrier',
+            args: [],
+            gate: gate,
+        }));
+        return this;
+    }
+
+    /**
+     * 将当前的绘图模型导出为一个独立的 SVG 文档
+     * @param {object} [options] - 选项
+     * @param {boolean} [options.shapes=false] - 是否同时导出可见海龟的形状
+     * @param {boolean} [options.background=true] - 是否导出背景色
+     * @returns {string} SVG 文档字符串
+     */
+    toSVG(options = {}) {
+        return this._buildSVG(this.turtles, options);
+    }
+
+    /**
+     * 获取当前画面的位图快照
+     * @param {object} [options] - 选项
+     * @param {string} [options.format='png'] - 'png'、'jpeg' (或 'jpg')、'webp'，也可以直接传 MIME 类型
+     * @param {number} [options.scale=1] - 相对于窗口大小 (CSS 像素) 的缩放倍数。与画布的实际像素尺寸不同时
+     *   (例如在高分屏上)，会按该倍数重新渲染矢量模型，而不是放大像素
+     * @param {number} [options.quality] - 有损格式的压缩质量 (0-1)
+     * @param {string} [options.type='blob'] - 返回 'blob' 还是 'dataURL'
+     * @returns {Promise<Blob|string>}
+     */
+    getImage({format = 'png', scale = 1, quality, type = 'blob'} = {}) {
+        const mime = format.includes('/') ? format : `image/${format === 'jpg' ? 'jpeg' : format}`;
+        let canvas = this.canvas;
+
+        if (scale !== this._pixelRatio) {
+            canvas = this._createCanvas(Math.round(this._width * scale), Math.round(this._height * scale));
+            if (!canvas) {
+                return Promise.reject(new TurtleGraphicsError('Scaled snapshots need a canvas factory; pass options.createCanvas to Screen.'));
+            }
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            this._render(ctx);
+        }
+
+        return type === 'dataURL' ? _canvasToDataURL(canvas, mime, quality) : _canvasToBlob(canvas, mime, quality);
+    }
+
+    /**
+     * 开始录制动画。此后每次重绘都会按帧率采样画面，直到调用 stopRecording()。
+     * @param {object} [options] - 选项
+     * @param {number} [options.fps=15] - 最高采样帧率
+     * @param {number} [options.scale=1] - 录制画面相对于画布的缩放倍数
+     */
+    startRecording({fps = 15, scale = 1} = {}) {
+        this._syncCanvasSize();
+        this._recorder = new _FrameRecorder(this, fps, scale);
+        this._recorder.capture(this._now(), true);
+        return this;
+    }
+
+    /**
+     * 停止录制，并把录到的帧编码为循环播放的动画 GIF
+     * @param {object} [options] - 选项
+     * @param {string} [options.type='blob'] - 返回 'blob'、'dataURL' 还是 'bytes' (Uint8Array)
+     * @returns {Promise<Blob|string|Uint8Array>}
+     * @example
+     * screen.startRecording({fps: 20});
+     * drawStar(t);
+     * await screen.done();
+     * const gif = await screen.stopRecording();
+     */
+    stopRecording({type = 'blob'} = {}) {
+        const recorder = this._recorder;
+        if (!recorder) {
+            return Promise.reject(new TurtleGraphicsError('stopRecording() called without a matching startRecording().'));
+        }
+        this._recorder = null;
+        return _wrapBytes(recorder.finish(this._now()), 'image/gif', type);
+    }
+
+    /**
+     * 开始把之后发出的所有命令记录为一个程序文档。
+     * 文档从当前的状态 (saveState()) 出发，因此应在队列空闲时开始，例如在 await screen.done() 之后。
+     * @example
+     * screen.startCapture();
+     * drawHouse(t);
+     * const program = screen.stopCapture();
+     * localStorage.setItem('submission', JSON.stringify(program));
+     */
+    startCapture() {
+        this._capture = {format: 'turtle-program', version: 1, state: this.saveState(), commands: []};
+        return this;
+    }
+
+    /**
+     * 停止记录，返回程序文档。它是可以直接 JSON.stringify 的普通对象：
+     * `{format: 'turtle-program', version: 1, state, commands: [{turtle, name, args}, ...]}`，
+     * 其中 turtle 是海龟的 id (屏幕命令为 null)。
+     * @returns {object}
+     */
+    stopCapture() {
+        const capture = this._capture;
+        if (!capture) {
+            throw new TurtleGraphicsError('stopCapture() called without a matching startCapture().');
+        }
+        this._capture = null;
+        return capture;
+    }
+
+    /**
+     * 把整个绘图模型 (所有海龟的位置、画笔状态、路径、填充、文字、点和印记，以及背景色、坐标系和自定义形状)
+     * 保存为可以 JSON.stringify 的普通对象。保存的是已经执行完的状态，队列中尚未执行的命令不包括在内。
+     * @returns {object}
+     */
+    saveState() {
+        const shapes = {};
+        Object.keys(this._shapes).forEach(name => {
+            const data = _serializeShape(this._shapes[name]);
+            if (data) shapes[name] = data;
+        });
+        return {
+            format: 'turtle-state',
+            version: 1,
+            width: this._width,
+            height: this._height,
+            bgColor: this.bgColor,
+            colormode: this._colormode,
+            mode: this._mode,
+            world: _jsonCopy(this._world),
+            shapes: shapes,
+            nextStampId: this._nextStampId,
+            nextSeq: this._nextSeq,
+            turtles: this.turtles.map(turtle => turtle._saveState()),
+        };
+    }
+
+    /**
+     * 立即恢复 saveState() 保存的绘图模型。
+     * 已有的海龟按 id 对应；文档中没有的海龟会被移出屏幕，缺少的海龟会被创建。
+     * 恢复不会等待队列，应在队列空闲时调用。
+     * @param {string|object} json - saveState() 的结果或它的 JSON 字符串
+     * @returns {Screen}
+     */
+    restoreState(json) {
+        const state = _parseDocument(json, 'turtle-state');
+        this.bgColor       = state.bgColor;
+        this._colormode    = state.colormode;
+        this._mode         = state.mode;
+        this._world        = _jsonCopy(state.world);
+        this._pendingWorld = _jsonCopy(state.world);
+        Object.keys(state.shapes).forEach(name => this._shapes[name] = _deserializeShape(state.shapes[name]));
+        this._nextStampId  = Math.max(this._nextStampId, state.nextStampId);
+        this._nextSeq      = Math.max(this._nextSeq, state.nextSeq || 1);
+
+        const existing = new Map(this.turtles.map(turtle => [turtle.id, turtle]));
+        this.turtles = state.turtles.map(data => {
+            let turtle = existing.get(data.id);
+            if (!turtle) {
+                turtle = new Turtle(this);
+                turtle.id = data.id;
+                this._nextTurtleId = Math.max(this._nextTurtleId, data.id + 1);
+            }
+            turtle._restoreState(data);
+            return turtle;
+        });
+        existing.forEach(turtle => this.turtles.includes(turtle) || this._detachTurtle(turtle));
+        this._blendUsed = this.turtles.some(turtle => [...turtle.path.map(segment => segment.pen), ...turtle.fills, ...turtle.writings, ...turtle.dots]
+            .some(item => item.blend !== undefined && item.blend !== 'source-over'));
+        this._invalidateLayers();
+        this._dirty = true;
+        this._wake();
+        return this;
+    }
+
+    /**
+     * 在这个屏幕上重放 stopCapture() 得到的程序：先等待队列空闲，恢复程序开始时的状态，再按原来的顺序把命令放入队列。
+     * 程序只包含数据，重放不会执行任何用户代码。
+     * @param {string|object} json - 程序文档或它的 JSON 字符串
+     * @param {object} [options] - 选项
+     * @param {string|number} [options.speed] - 用这个速度代替程序中的速度设置；0 或 'fastest' 时不播放动画，尽快画完
+     * @returns {Promise<Screen>} 重放完成时兑现
+     * @example
+     * await screen.replay(localStorage.getItem('submission'), {speed: 'slow'});
+     */
+    replay(json, {speed} = {}) {
+        const program = _parseDocument(json, 'turtle-program');
+        _parseDocument(program.state, 'turtle-state');
+        program.commands.forEach(entry => {
+            const known = entry.turtle === null
+                ? _SCREEN_COMMANDS.includes(entry.name) || _PROGRAM_EVENTS.includes(entry.name)
+                : _TURTLE_COMMANDS.includes(entry.name) || _PROGRAM_EVENTS.includes(entry.name) || _pluginCommands.has(entry.name);
+            if (!known || !Array.isArray(entry.args)) {
+                throw new TurtleGraphicsError(`Cannot replay command: ${JSON.stringify(entry.name)}`);
+            }
+        });
+        return this.done().then(() => this._replayCommands(program, speed));
+    }
+
+    /**
+     * @private
+     * 恢复程序的初始状态，并把它的命令放入队列，返回全部完成时兑现的 Promise
+     */
+    _replayCommands(program, speed) {
+        // 不播放动画时关闭 tracer 一次画完，程序自己的 tracer/delay/update 设置只保留最终值
+        const instant = speed === 0 || speed === 'fastest';
+        const pacing  = {...this._pendingTracer};
+        if (instant) this.tracer(0, 0);
+
+        this.restoreState(program.state);
+        const turtles = new Map(this.turtles.map(turtle => [turtle.id, turtle]));
+        if (speed !== undefined) this.turtles.forEach(turtle => turtle.speed(speed));
+
+        program.commands.forEach(({turtle: id, name, args}) => {
+            if (id === null) {
+                if (name === 'concurrent') this.concurrent(args[0]);
+                else if (name === 'register_shape') this._shapes[args[0]] = _deserializeShape(args[1]);
+                else if (name === 'barrier') this.barrier();
+                else if (name === 'setworldcoordinates') this.setworldcoordinates(args[0].llx, args[0].lly, args[0].urx, args[0].ury);
+                else if (instant && name === 'tracer') Object.assign(pacing, {n: args[0]}, args[1] === undefined ? {} : {delay: args[1]});
+                else if (instant && name === 'delay') pacing.delay = args[0];
+                else if (!(instant && name === 'update')) this[name](...args);
+                return;
+            }
+
+            if (name === 'new') {
+                const turtle = new Turtle(this);
+                turtle.id = id;
+                if (args[0] && args[0].visible === false) turtle.isVisible = false; // clone() 得到的海龟
+                this._nextTurtleId = Math.max(this._nextTurtleId, id + 1);
+                if (speed !== undefined) turtle.speed(speed);
+                turtles.set(id, turtle);
+                return;
+            }
+            const turtle = turtles.get(id);
+            if (!turtle) {
+                throw new TurtleGraphicsError(`Cannot replay command for unknown turtle ${id}`);
+            }
+            if (name === 'speed') {
+                if (speed === undefined) turtle.speed(args[0]);
+            } else {
+                if (name === 'stamp') this._nextStampId = Math.max(this._nextStampId, args[0] + 1);
+                if (name === 'reset' && speed === undefined) turtle._resetSpeed(); // 与 reset() 一样在入队时重置速度
+                if (name === 'clone') {
+                    turtle._queueClone(args[0]);
+                    return;
+                }
+                turtle._queueCommand(name, args.map(arg => arg && arg.$turtle !== undefined ? turtles.get(arg.$turtle) : arg));
+            }
+        });
+
+        if (instant) {
+            this.tracer(pacing.n, pacing.delay);
+            this.update();
+        }
+        return this.done();
+    }
+
+    /**
+     * 创建一个新的屏幕并尽快画出程序 (或恢复状态文档) 的最终结果
+     * @param {string|object} json - stopCapture() 得到的程序文档，或 saveState() 得到的状态文档 (以及它们的 JSON 字符串)
+     * @param {*} [target] - 绘图目标，与 Screen 构造函数相同
+     * @param {object} [options] - Screen 构造函数的选项
+     * @returns {Screen}
+     */
+    static load(json, target, options) {
+        const doc    = typeof json === 'string' ? JSON.parse(json) : json;
+        const state  = doc && doc.format === 'turtle-program' ? doc.state : doc;
+        const screen = new Screen(target, state && state.width, state && state.height, options);
+        if (doc && doc.format === 'turtle-program') {
+            screen.replay(doc, {speed: 0});
+        } else {
+            screen.restoreState(doc);
+        }
+        return screen;
+    }
+
+    /**
+     * 注册一个新的海龟命令，并把同名方法加到 Turtle.prototype 上。
+     * 它和内置命令一样进入队列、按海龟的速度播放动画、记录为一个撤销步骤、可以被 startCapture() 记录和 replay() 重放，
+     * 也会被 expose() 暴露。命令执行时，插件代码对海龟调用的命令方法 (forward、goto、pencolor 等) 作为这个命令的子步骤立即执行。
+     * 参数会原样进入程序文档，因此应当是 JSON 数据 (其他海龟按编号记录)。
+     * @param {string} name - 命令名，不能与已有的方法或内置命令重名；重新注册同一个插件命令会替换它
+     * @param {object} spec - 命令的定义，animate 与 execute 二选一
+     * @param {function(Turtle, ...*)} [spec.animate] - 生成器函数。每次 yield 会等待此前调用的命令执行完，
+     *   之后读到的就是海龟当时的状态
+     * @param {function(Turtle, ...*)} [spec.execute] - 普通函数，它调用的命令依次执行，不需要在中途读取状态时使用
+     * @param {function(...*): (boolean|void)} [spec.validate] - 调用方法时立即检查参数 (this 为海龟)，
+     *   可以抛出错误，返回 false 时抛出 TurtleGraphicsError
+     * @example
+     * Screen.registerCommand('spiral', {
+     *     validate: turns => typeof turns === 'number' && turns > 0,
+     *     *animate(t, turns) {
+     *         for (let i = 0; i < turns * 36; i++) {
+     *             t.forward(i / 4).left(10);
+     *         }
+     *     },
+     * });
+     * Screen.registerCommand('walkto', {
+     *     *animate(t, other) {
+     *         yield;                  // 等到轮到这个命令时，other 已经走到的位置
+     *         t.goto(other.xcor(), other.ycor());
+     *     },
+     * });
+     * t.spiral(3).walkto(t2);
+     */
+    static registerCommand(name, {animate, execute, validate} = {}) {
+        if (!animate === !execute) {
+            throw new TurtleGraphicsError('registerCommand() needs exactly one of animate or execute.');
+        }
+        if ([..._TURTLE_COMMANDS, ..._SCREEN_COMMANDS, ..._PROGRAM_EVENTS].includes(name)) {
+            throw new TurtleGraphicsError(`Cannot replace the built-in command ${name}`);
+        }
+        Turtle.registerMethod(name, function (...args) {
+            if (validate && validate.apply(this, args) === false) {
+                throw new TurtleGraphicsError(`bad arguments for ${name}(): ${args.join(', ')}`);
+            }
+            return this._queueCommand(name, args);
+        });
+        _pluginCommands.set(name, {animate, execute, validate});
+    }
+
+    /**
+     * 绑定屏幕上的鼠标点击事件
+     * @param {function(number, number)|null} fn - 回调，收到点击处的海龟坐标 (x, y)；传入 null 解除绑定
+     * @param {number} [btn=1] - 鼠标键：1 左键，2 中键，3 右键
+     * @param {boolean} [add=false] - 为 true 时追加回调，否则替换已有回调
+     */
+    onclick(fn, btn = 1, add = false) {
+        this._clickHandlers[btn] = _bindHandler(this._clickHandlers[btn] || [], fn, add);
+        this._bindPointerEvents();
+        return this;
+    }
+    onscreenclick(fn, btn, add) { return this.onclick(fn, btn, add); }
+
+    /**
+     * 绑定按键按下事件。需要先调用 listen() 才能接收键盘事件。
+     * @param {function|null} fn - 无参数的回调；传入 null 解除绑定
+     * @param {string} [key] - 按键名，例如 'a'、'space'、'Up'。省略时响应任意按键
+     */
+    onkeypress(fn, key = null) {
+        this._bindKey('press', fn, key);
+        return this;
+    }
+
+    /**
+     * 绑定按键释放事件。需要先调用 listen() 才能接收键盘事件。
+     * @param {function|null} fn - 无参数的回调；传入 null 解除绑定
+     * @param {string} key - 按键名，例如 'a'、'space'、'Up'
+     */
+    onkeyrelease(fn, key) {
+        this._bindKey('release', fn, key);
+        return this;
+    }
+    onkey(fn, key) { return this.onkeyrelease(fn, key); }
+
+    /**
+     * 开始接收键盘事件
+     */
+    listen() {
+        if (this._keysBound) return this;
+        const target = this.canvas.ownerDocument || (typeof document !== 'undefined' ? document : null);
+        if (!target) return this;
+        this._keysBound = true;
+        this._addDomListener(target, 'keydown', event => this._dispatchKey('press', event));
+        this._addDomListener(target, 'keyup', event => this._dispatchKey('release', event));
+        return this;
+    }
+
+    /**
+     * 在 ms 毫秒之后调用 fn 一次
+     * @param {function} fn
+     * @param {number} [ms=0]
+     * @returns {*} 计时器 id
+     */
+    ontimer(fn, ms = 0) {
+        const id = this._scheduler.setTimeout(() => {
+            this._timers.delete(id);
+            fn();
+        }, ms);
+        this._timers.add(id);
+        return id;
+    }
+
+    /**
+     * @private
+     * 把画布坐标转换为海龟坐标 (standard/logo 模式下原点在中心、y 轴向上；world 模式下由 setworldcoordinates 决定)。
+     * 这里的“画布坐标”是未经平移和缩放的版面坐标：原点在窗口左上角，单位为 CSS 像素，y 轴向下。
+     * 绘图模型只保存海龟坐标，窗口大小、像素比、平移和缩放都只影响这一层换算和 _viewMatrix。
+     */
+    _fromCanvas(px, py) {
+        const world = this._world;
+        if (!world) return {x: px - this._width / 2, y: this._height / 2 - py};
+        const area = this._drawingArea();
+        return {
+            x: world.llx + (px - (this._width - area.width) / 2) * (world.urx - world.llx) / area.width,
+            y: world.ury - (py - (this._height - area.height) / 2) * (world.ury - world.lly) / area.height,
+        };
+    }
+
+    /**
+     * @private
+     * 把海龟坐标转换为画布坐标 (原点在左上角，y 轴向下)。world 模式下世界坐标矩形对应整个绘图区 (screensize)。
+     */
+    _toCanvas(x, y) {
+        const world = this._world;
+        if (!world) return {x: x + this._width / 2, y: this._height / 2 - y};
+        const area = this._drawingArea();
+        return {
+            x: (this._width - area.width) / 2 + (x - world.llx) * area.width / (world.urx - world.llx),
+            y: (this._height - area.height) / 2 + (world.ury - y) * area.height / (world.ury - world.lly),
+        };
+    }
+
+    /**
+     * @private
+     * 每个海龟坐标单位在画布上对应的像素数 {x, y}
+     */
+    _unitScale() {
+        const world = this._world;
+        if (!world) return {x: 1, y: 1};
+        const area = this._drawingArea();
+        return {
+            x: area.width / (world.urx - world.llx),
+            y: area.height / (world.ury - world.lly),
+        };
+    }
+
+    /**
+     * @private
+     * 绘图区 (screensize) 的大小，单位为 CSS 像素。绘图区以窗口中心为中心。
+     */
+    _drawingArea() {
+        return this._areaSize || {width: this._width, height: this._height};
+    }
+
+    /**
+     * @private
+     * 从画布坐标到窗口 (CSS 像素) 的平移缩放矩阵 [a, b, c, d, e, f]，与 ctx.transform() 的参数相同。
+     * 可见区域被限制在绘图区之内；绘图区比可见区域小时居中显示。
+     */
+    _viewMatrix() {
+        const zoom   = this._view.zoom;
+        const area   = this._drawingArea();
+        const center = this._toCanvas(this._view.x, this._view.y);
+        const clamp  = (value, size, extent) => {
+            const half = size / (2 * zoom);
+            const low  = (size - extent) / 2 + half;
+            const high = (size + extent) / 2 - half;
+            return low <= high ? Math.min(Math.max(value, low), high) : size / 2;
+        };
+        const cx = clamp(center.x, this._width, area.width);
+        const cy = clamp(center.y, this._height, area.height);
+        return [zoom, 0, 0, zoom, this._width / 2 - zoom * cx, this._height / 2 - zoom * cy];
+    }
+
+    /**
+     * @private
+     * 把窗口坐标 (CSS 像素) 换算回画布坐标，即 _viewMatrix 的逆变换
+     */
+    _fromView(vx, vy) {
+        const m = this._viewMatrix();
+        return {x: (vx - m[4]) / m[0], y: (vy - m[5]) / m[3]};
+    }
+
+    /**
+     * @private
+     * 设置可见区域：中心位于画布坐标 (cx, cy)，缩放倍数为 zoom。保存的是限制在绘图区之内后的中心。
+     */
+    _setView(cx, cy, zoom) {
+        this._view = {...this._fromCanvas(cx, cy), zoom};
+        const center = this._fromView(this._width / 2, this._height / 2);
+        this._view = {...this._fromCanvas(center.x, center.y), zoom};
+        this._viewChanged();
+    }
+
+    /**
+     * @private
+     * 窗口大小、像素比、绘图区或可见区域变化后，从绘图模型重建全部图层并立即重绘 (不受 tracer 影响)
+     */
+    _viewChanged() {
+        this._layersStale = true;
+        this._dirty       = true;
+        this._wake();
+    }
+
+    /**
+     * @private
+     * 按窗口大小和像素比设置画布的实际像素尺寸。
+     * 页面中的 canvas 还会被设置 CSS 尺寸，使一个画布像素在高分屏上对应 1/devicePixelRatio 个 CSS 像素。
+     */
+    _applySize() {
+        const canvas = this.canvas;
+        const isDOM  = !!canvas.style;
+        const ratio  = this._fixedRatio || (isDOM && typeof devicePixelRatio === 'number' && devicePixelRatio > 0 ? devicePixelRatio : 1);
+        const width  = Math.max(1, Math.round(this._width * ratio));
+        const height = Math.max(1, Math.round(this._height * ratio));
+        this._pixelRatio = ratio;
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+        this._backingSize = {width, height};
+
+        // 页面自己设置了 canvas 的内联尺寸时不去覆盖它，除非调用过 setup()
+        if (isDOM && (this._ownsStyle || (ratio !== 1 && !canvas.style.width && !canvas.style.height))) {
+            canvas.style.width  = `${this._width}px`;
+            canvas.style.height = `${this._height}px`;
+            this._ownsStyle     = true;
+        }
+        this._viewChanged();
+    }
+
+    /**
+     * @private
+     * 重绘前检查画布尺寸是否被外部修改 (把新尺寸当作窗口大小)，以及 devicePixelRatio 是否变化 (例如窗口被拖到另一块屏幕上)
+     */
+    _syncCanvasSize() {
+        const canvas  = this.canvas;
+        const backing = this._backingSize;
+        if (canvas.width !== backing.width || canvas.height !== backing.height) {
+            if (canvas.width !== backing.width) this._width = canvas.width;
+            if (canvas.height !== backing.height) this._height = canvas.height;
+            this._applySize();
+        } else if (!this._fixedRatio && canvas.style && typeof devicePixelRatio === 'number' && devicePixelRatio > 0 && devicePixelRatio !== this._pixelRatio) {
+            this._applySize();
+        }
+    }
+
+    /**
+     * @private
+     * 沿着指定朝向移动一个海龟坐标单位，在画布上是多少像素
+     */
+    _pixelsPerUnit(heading) {
+        const scale = this._unitScale();
+        const rad   = heading * Math.PI / 180;
+        return Math.hypot(Math.cos(rad) * scale.x, Math.sin(rad) * scale.y);
+    }
+
+    /**
+     * @private
+     * 把海龟坐标中的朝向 (度，逆时针，0 为东) 换算为画布上的视觉角度。
+     * 两个轴的缩放比例不同时，二者并不相等。
+     */
+    _screenAngle(heading) {
+        const scale = this._unitScale();
+        const rad   = heading * Math.PI / 180;
+        return Math.atan2(Math.sin(rad) * scale.y, Math.cos(rad) * scale.x) * 180 / Math.PI;
+    }
+
+    /**
+     * @private
+     * 注册 DOM 事件并记录下来，以便之后统一移除
+     */
+    _addDomListener(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this._domListeners.push({target, type, handler});
+    }
+
+    /**
+     * @private
+     * 按需给画布挂上鼠标事件 (只挂一次)
+     */
+    _bindPointerEvents() {
+        if (this._pointerBound || typeof this.canvas.addEventListener !== 'function') return;
+        this._pointerBound = true;
+        this._addDomListener(this.canvas, 'mousedown', event => this._handleMouse('down', event));
+        this._addDomListener(this.canvas, 'mousemove', event => this._handleMouse('move', event));
+        this._addDomListener(this.canvas, 'mouseup', event => this._handleMouse('up', event));
+        this._addDomListener(this.canvas, 'contextmenu', event => {
+            if (this._clickHandlers[3] && this._clickHandlers[3].length) event.preventDefault();
+        });
+    }
+
+    /**
+     * @private
+     * 把鼠标事件的位置换算成窗口坐标 (CSS 像素，考虑画布被 CSS 缩放的情况)
+     */
+    _eventToView(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * this._width / rect.width,
+            y: (event.clientY - rect.top) * this._height / rect.height,
+        };
+    }
+
+    /**
+     * @private
+     * 把鼠标事件的位置换算成画布坐标 (去掉平移和缩放)
+     */
+    _eventToCanvas(event) {
+        const view = this._eventToView(event);
+        return this._fromView(view.x, view.y);
+    }
+
+    /**
+     * @private
+     * 按需给画布挂上滚轮事件 (只挂一次)：滚动平移可见区域，按住 Ctrl 滚动 (或触控板双指缩放) 以鼠标位置为中心缩放
+     */
+    _bindWheel() {
+        if (this._wheelBound || typeof this.canvas.addEventListener !== 'function') return;
+        this._wheelBound = true;
+        this._addDomListener(this.canvas, 'wheel', event => {
+            const m = this._viewMatrix();
+            if (event.ctrlKey) {
+                const view = this._eventToView(event);
+                this._zoomAt(m[0] * Math.exp(-event.deltaY / 300), view.x, view.y);
+            } else {
+                const before = this._fromView(this._width / 2, this._height / 2);
+                this._setView(before.x + event.deltaX / m[0], before.y + event.deltaY / m[0], m[0]);
+                const after  = this._fromView(this._width / 2, this._height / 2);
+                if (after.x === before.x && after.y === before.y) return; // 已经滚到边缘，让页面自己滚动
+            }
+            event.preventDefault();
+        }, {passive: false});
+    }
+
+    /**
+     * @private
+     * 以窗口坐标 (vx, vy) 处的点为中心缩放，该点下方的内容保持不动
+     */
+    _zoomAt(zoom, vx, vy) {
+        const p = this._fromView(vx, vy);
+        this._setView(p.x - (vx - this._width / 2) / zoom, p.y - (vy - this._height / 2) / zoom, zoom);
+    }
+
+    /**
+     * @private
+     * 鼠标事件分发：先交给被点中的最上层海龟，再交给屏幕的点击回调 (与 Tk 的事件顺序一致)
+     */
+    _handleMouse(phase, event) {
+        const btn  = event.button + 1;
+        const px   = this._eventToCanvas(event);
+        const {x, y} = this._fromCanvas(px.x, px.y);
+
+        if (phase === 'down') {
+            const turtle = this._turtleAtCanvas(px.x, px.y);
+            if (turtle) {
+                this._pressed = {turtle, btn};
+                (turtle._mouseHandlers.click[btn] || []).forEach(fn => fn(x, y));
+            }
+            (this._clickHandlers[btn] || []).forEach(fn => fn(x, y));
+        } else if (phase === 'move') {
+            if (this._pressed) {
+                (this._pressed.turtle._mouseHandlers.drag[this._pressed.btn] || []).forEach(fn => fn(x, y));
+            }
+        } else if (this._pressed && this._pressed.btn === btn) {
+            const turtle  = this._pressed.turtle;
+            this._pressed = null;
+            (turtle._mouseHandlers.release[btn] || []).forEach(fn => fn(x, y));
+        }
+    }
+
+    /**
+     * @private
+     * 返回位于画布坐标 (px, py) 处最上层的可见海龟
+     */
+    _turtleAtCanvas(px, py) {
+        return this._turtlesAtCanvas(px, py)[0] || null;
+    }
+
+    /**
+     * @private
+     * 图标覆盖了画布坐标 (px, py) 的可见海龟。最上面的在前：图层编号大的在前，同一图层中后创建的在前 (参见 _paintOrder)
+     */
+    _turtlesAtCanvas(px, py) {
+        const hits = this.turtles.filter(turtle => turtle.isVisible && turtle._hitTest(px, py));
+        return hits.reverse().sort((a, b) => b._layer - a._layer);
+    }
+
+    /**
+     * @private
+     * 添加/替换/移除某个按键的回调
+     */
+    _bindKey(kind, fn, key) {
+        const handlers = this._keyHandlers[kind].filter(h => h.key !== key);
+        if (fn) handlers.push({key, fn});
+        this._keyHandlers[kind] = handlers;
+    }
+
+    /**
+     * @private
+     * 把键盘事件分发给匹配的回调
+     */
+    _dispatchKey(kind, event) {
+        this._keyHandlers[kind].forEach(h => {
+            if (_keyMatches(h.key, event)) h.fn();
+        });
+    }
+
+    /**
+     * @private
+     * 将一个命令推入队列，并返回在该命令执行完毕时兑现的 Promise。
+     * 并发模式下海龟命令进入各自海龟的队列，屏幕命令仍进入屏幕队列。
+     * @param {{turtle: (Turtle|null), name: string, args: Array}} command
+     * @returns {Promise} 命令被 cancel() 时以 TurtleGraphicsError 拒绝
+     */
+    _enqueue(command) {
+        if (this._destroyed) {
+            throw new TurtleGraphicsError('This screen has been closed with bye().');
+        }
+        if (this._capture) this._captureCommand(command);
+        command.data  = this._annotation;
+        const owner   = (this._concurrent && command.turtle) ? command.turtle : this;
+        const promise = new Promise((resolve, reject) => {
+            command.resolve = resolve;
+            command.reject  = reject;
+        });
+        // 被 cancel() 的命令会 reject；没有人等待的命令不应报告“未处理的 rejection”
+        promise.catch(() => {});
+        command.promise = promise;
+        owner.commandQueue.push(command);
+        owner._lastCommand = promise;
+        this._wake();
+        return promise;
+    }
+
+    /**
+     * @private
+     * 把一个入队的命令追加到正在记录的程序中。参数被深拷贝，末尾省略的参数不写入。
+     * barrier() 和并发模式下的 clone() 会给每个参与的队列各放一个命令，只记录一次。
+     */
+    _captureCommand(command) {
+        if (command.gate) {
+            if (command.gate.captured) return;
+            command.gate.captured = true;
+        }
+        const args = command.args.slice();
+        while (args.length && args[args.length - 1] === undefined) args.pop();
+        this._capture.commands.push({
+            turtle: command.turtle ? command.turtle.id : null,
+            name: command.name,
+            // 插件命令的参数可以是其他海龟，按编号记录
+            args: _jsonCopy(args.map(arg => arg instanceof Turtle ? {$turtle: arg.id} : arg)),
+        });
+    }
+
+    /**
+     * @private
+     * 命令队列处理器，是整个库的“心跳”。每一帧调用一次 _tick；没有任何事情要做时停止请求新的帧 (休眠)，
+     * 直到 _wake() 被调用 (新命令入队、需要重绘等)。
+     */
+    _processQueue() {
+        this._frameId = this._requestFrame(now => {
+            this._frameId = null;
+            if (this._destroyed) return;
+            this._ticking = true;
+            try {
+                this._tick(now);
+            } finally {
+                this._ticking = false;
+            }
+            if (this._destroyed) return;
+            if (this._isIdle()) {
+                this._lastTick = null; // 醒来后的第一帧不应把休眠的时间算进动画
+                return;
+            }
+            this._processQueue();
+        });
+    }
+
+    /**
+     * @private
+     * 如果帧循环在休眠，重新启动它
+     */
+    _wake() {
+        if (this._frameId !== null || this._ticking || this._destroyed) return;
+        this._syncCanvasSize(); // 休眠期间画布的尺寸可能被外部修改了 (它本身也可能唤醒帧循环)
+        if (this._frameId === null) this._processQueue();
+    }
+
+    /**
+     * @private
+     * 是否没有任何需要逐帧推进的事情：没有待重绘的画面，也没有可以推进的动画和命令。
+     * 暂停 (且没有 step()) 时，即使还有命令也算空闲。
+     */
+    _isIdle() {
+        if (this._dirty) return false;
+        if (this._paused && this._stepping === null) return true;
+        return this._animations.length === 0 && this._stepping === null &&
+            [this, ...this.turtles].every(owner => !owner.isBusy && owner.commandQueue.length === 0);
+    }
+
+    /**
+     * @private
+     * 推进一帧：先让所有进行中的动画以同一时间步长前进，再为空闲的队列启动下一个命令，
+     * 最后在有变化时统一重绘一次。
+     */
+    _tick(now) {
+        const dt       = this._lastTick === null ? 0 : now - this._lastTick;
+        this._lastTick = now;
+
+        // 暂停时动画和队列都停在原地，step() 期间只让单步执行的命令继续
+        const running    = !this._paused || this._stepping !== null;
+        const animations = running ? this._animations : [];
+        if (running) this._animations = [];
+        animations.forEach(animation => {
+            animation.elapsed += dt * this._playbackRate;
+            const progress = animation.duration > 0 ? Math.min(animation.elapsed / animation.duration, 1) : 1;
+            animation.onFrame(progress);
+            this._requestRedraw();
+            if (progress < 1) {
+                this._animations.push(animation);
+            } else {
+                animation.onDone();
+            }
+        });
+
+        // 关闭动画 (tracer 不为 1) 时，命令都是瞬时完成的，一帧内尽可能多地执行，但不超过时间预算
+        const owners = this._concurrent ? [this, ...this.turtles] : [this];
+        const start  = this._now();
+        if (!this._paused) {
+            owners.forEach(owner => {
+                while (this._startNext(owner) && this._tracing !== 1 && this._now() - start < _FRAME_BUDGET) {
+                    // 继续执行下一个命令
+                }
+            });
+        } else if (this._stepping) {
+            this._advanceStep(owners);
+        }
+
+        this._syncCanvasSize();
+        if (this._dirty) {
+            this._dirty = false;
+            this._redraw();
+        }
+    }
+
+    /**
+     * @private
+     * 如果 owner (屏幕或并发模式下的海龟) 的队列空闲，则取出并执行下一个命令。
+     * 执行器完成时调用 onComplete()，执行失败时调用 onComplete(error)，命令的 Promise 随之拒绝。
+     * @returns {boolean} 是否启动了一个命令
+     */
+    _startNext(owner) {
+        if (owner.isBusy || owner.commandQueue.length === 0) return false;
+        if (owner._resumeAt && this._now() < owner._resumeAt) return false; // 还在 delay() 的等待时间内
+
+        owner.isBusy     = true;
+        const command    = owner.commandQueue.shift();
+        owner._current   = command;
+        const onComplete = error => {
+            if (owner._current !== command) return; // 已经被 cancel() 中止
+            owner._current = null;
+            owner.isBusy   = false;
+            if (this._delayValue > 0) owner._resumeAt = this._now() + this._delayValue / this._playbackRate;
+            this._emitCommand('done', command, error);
+            if (error) command.reject(error);
+            else command.resolve(command.turtle || this);
+        };
+
+        // 执行前为海龟命令记录撤销信息
+        if (command.turtle && !_UNDO_EXEMPT_COMMANDS.includes(command.name)) {
+            command.turtle._pushUndoEntry();
+        }
+        this._emitCommand('start', command);
+        this._dispatch(command, onComplete);
+        return true;
+    }
+
+    /**
+     * @private
+     * 通知 oncommandstart/oncommanddone 的回调。barrier 只是内部的同步点，不通知。
+     * 回调在帧循环中执行，它抛出的错误只在控制台报告，不能打断命令的执行和其他海龟的动画。
+     * @param {Error} [error] - 命令执行失败时的错误，作为 done 事件参数的 error 字段
+     */
+    _emitCommand(phase, command, error) {
+        const handlers = this._commandHandlers[phase];
+        if (!handlers.length || command.name === 'barrier') return;
+        const info = {turtle: command.turtle, name: command.name, args: command.args, data: command.data};
+        if (error) info.error = error;
+        handlers.forEach(fn => {
+            try {
+                fn(info);
+            } catch (error) {
+                console.error(error);
+            }
+        });
+    }
+
+    /**
+     * @private
+     * 暂停时推进 step()：如果有命令执行到一半，单步就是把它执行完；否则开始下一个命令。
+     * 命令全部完成 (或者队列为空) 时 step() 兑现。
+     */
+    _advanceStep(owners) {
+        const stepping = this._stepping;
+        if (!stepping.started) {
+            // 并发模式下每个队列各启动一个命令 (filter 而不是 some，不能在第一个启动后就停下)
+            stepping.started = owners.some(owner => owner.isBusy) || owners.filter(owner => this._startNext(owner)).length > 0;
+            if (!stepping.started && owners.every(owner => owner.commandQueue.length === 0)) {
+                this._finishStep();
+                return;
+            }
+        }
+        if (stepping.started && !owners.some(owner => owner.isBusy)) this._finishStep();
+    }
+
+    /**
+     * @private
+     * 兑现进行中的 step()
+     */
+    _finishStep() {
+        const stepping = this._stepping;
+        this._stepping = null;
+        if (stepping) stepping.resolve(this);
+    }
+
+    /**
+     * @private
+     * 注册一个逐帧推进的动画。所有动画都由 _tick 以相同的时间步长推进，因此多只海龟会在同一帧里一起移动。
+     * @param {number} duration - 动画时长 (毫秒)
+     * @param {function(number)} onFrame - 每帧调用，参数为 0-1 的进度
+     * @param {function} onDone - 进度到达 1 之后调用
+     */
+    _animate(duration, onFrame, onDone) {
+        this._animations.push({duration, elapsed: 0, onFrame, onDone});
+    }
+
+    /**
+     * @private
+     * 请求一次画面更新，在本帧结束时统一重绘。
+     * 与 Python 的 tracer 语义一致：tracer(0) 时不更新，tracer(n) 时每 n 次请求才真正更新一次。
+     */
+    _requestRedraw() {
+        this._wake();
+        if (this._tracing === 1) {
+            this._dirty = true;
+        } else if (this._tracing > 0) {
+            this._updateCounter = (this._updateCounter + 1) % this._tracing;
+            if (this._updateCounter === 0) this._dirty = true;
+        }
+    }
+
+    /**
+     * @private
+     * 当前是否应当播放动画。tracer 不为 1 时所有动作都瞬时完成。
+     */
+    _isAnimated(turtle) {
+        return turtle._speed !== 0 && this._tracing === 1;
+    }
+
+    /**
+     * @private
+     * 根据命令名执行命令，完成后调用 onComplete
+     */
+    _dispatch(command, onComplete) {
+        switch (command.name) {
+            // bgcolor 是屏幕指令，没有关联的海龟
+            case 'bgcolor':
+                this.bgColor = command.args[0];
+                this._requestRedraw();
+                onComplete();
+                break;
+            case 'barrier':
+                this._executeBarrier(command, onComplete);
+                break;
+            case 'clone':
+                // 并发模式下先等原海龟到达同步点，参见 Turtle#_queueClone
+                if (command.gate) {
+                    this._executeBarrier(command, () => {
+                        this._executeInstantCommand(command);
+                        onComplete();
+                    });
+                    break;
+                }
+                this._executeInstantCommand(command);
+                onComplete();
+                break;
+            case 'tracer':
+                this._tracing       = command.args[0];
+                this._updateCounter = 0;
+                if (command.args[1] !== undefined) this._delayValue = command.args[1];
+                onComplete();
+                break;
+            case 'delay':
+                this._delayValue = command.args[0];
+                onComplete();
+                break;
+            case 'update':
+                this._dirty = true;
+                onComplete();
+                break;
+            case 'mode':
+                // 与 Python 一致：切换模式会重置所有海龟
+                this._world = command.args[1];
+                this.turtles.forEach(turtle => turtle._internal_reset());
+                this._invalidateLayers();
+                onComplete();
+                break;
+            case 'setworldcoordinates':
+                this._world = command.args[0];
+                if (command.args[1]) this.turtles.forEach(turtle => turtle._internal_reset());
+                this._invalidateLayers(); // 坐标系变化后图层上的像素位置全部失效
+                onComplete();
+                break;
+            case 'forward':
+            case 'backward':
+                this._executeMove(command, onComplete);
+                break;
+            case 'right':
+            case 'left':
+                this._executeRotate(command, onComplete);
+                break;
+            case 'goto':
+                this._executeGoto(command, onComplete);
+                break;
+            case 'circle':
+                this._executeCircle(command, onComplete);
+                break;
+            case 'dot':
+                this._executeDot(command, onComplete);
+                break;
+            case 'write':
+                this._executeWrite(command, onComplete);
+                break;
+            case 'setheading':
+                const turtle   = command.turtle;
+                const angle    = command.args[0];
+                turtle._heading = (360 + angle % 360) % 360;
+                this._requestRedraw();
+                onComplete();
+                break;
+            // ... 其他 case ...
+            // 以下是无动画的瞬时命令
+            default:
+                if (_pluginCommands.has(command.name)) {
+                    this._executePlugin(command, onComplete);
+                    break;
+                }
+                this._executeInstantCommand(command);
+                onComplete();
+                break;
+        }
     }
 
     /**
      * @private
-     * 注册所有内置的海龟形状
-     */
-    _registerDefaultShapes() {
-        this._shapes = {};
-        this._shapes['arrow']   = [[-10, 5], [0, 0], [-10, -5]];
-        this._shapes['turtle']  = [[10, 0], [8, -2], [9, -7], [7, -9], [0, -10], [-7, -9], [-9, -7], [-8, -2], [-10, 0], [-8, 2], [-9, 7], [-7, 9], [0, 10], [7, 9], [9, 7], [8, 2]];
-        this._shapes['circle']  = 'circle';
-        this._shapes['square']  = [[5, 5], [5, -5], [-5, -5], [-5, 5]];
-        this._shapes['triangle']= [[8, -7], [-8, -7], [0, 8]].map(pt => [pt[1], -pt[0]]);
-        this._shapes['classic'] = [[0, 0], [-10, -5], [-10, 5]];
-    }
-
-    /**
-     * 创建一个新的海龟实例并将其与此屏幕关联
-     * @returns {Turtle} 新创建的海龟实例
-     */
-    createTurtle() {
-        const turtle = new Turtle(this);
-        return turtle;
-    }
-    
-    /**
-     * 设置画布的背景颜色
-     * @param {string} color - CSS 颜色字符串
+     * 同步点：每个参与的队列到达这里后都会等待，直到所有队列都到达才一起继续
      */
-    bgcolor(color) {
-        this.commandQueue.push({name: 'bgcolor', args: [color], turtle: null}); // bgcolor 是屏幕指令，没有关联特定 turtle
-        return this;
+    _executeBarrier(command, onComplete) {
+        const gate = command.gate;
+        gate.waiting.push(onComplete);
+        if (gate.waiting.length === gate.size) {
+            gate.waiting.forEach(release => release());
+        }
     }
 
     /**
      * @private
-     * 命令队列处理器，是整个库的“心跳”
+     * 执行 registerCommand() 注册的命令。插件代码在收集模式下调用海龟的方法，收集到的命令作为这个命令的
+     * 子步骤依次执行 (与 circle() 的小步一样不单独入队)；animate 是生成器时，每次 yield 都先执行完已收集的子步骤再继续。
+     * 插件代码抛出的错误使这个命令的 Promise 拒绝，队列继续执行后面的命令。
      */
-    _processQueue() {
-        requestAnimationFrame(() => {
-            if (this.isBusy || this.commandQueue.length === 0) {
-                this._processQueue();
-                return;
+    _executePlugin(command, onComplete) {
+        const turtle = command.turtle;
+        const {animate, execute} = _pluginCommands.get(command.name);
+        const pending = [];
+        let steps = null;
+
+        const collect = run => {
+            turtle._collecting = pending;
+            try {
+                return run();
+            } finally {
+                turtle._collecting = null;
             }
+        };
 
-            this.isBusy      = true;
-            const command    = this.commandQueue.shift();
-            const onComplete = () => {
-                this.isBusy = false;
-            };
-            
-            // bgcolor 是屏幕指令，需要特殊处理
-            if (command.name === 'bgcolor') {
-                this.bgColor = command.args[0];
-                this._redraw();
-                onComplete();
-                this._processQueue();
-                return;
+        try {
+            if (animate) {
+                steps = collect(() => animate(turtle, ...command.args));
+                if (!steps || typeof steps.next !== 'function') {
+                    throw new TurtleGraphicsError(`animate of command ${command.name} must be a generator function`);
+                }
+            } else {
+                collect(() => execute(turtle, ...command.args));
             }
+        } catch (error) {
+            onComplete(error);
+            return;
+        }
 
-            switch (command.name) {
-                case 'forward':
-                case 'backward':
-                    this._executeMove(command, onComplete);
-                    break;
-                case 'right':
-                case 'left':
-                    this._executeRotate(command, onComplete);
-                    break;
-                case 'goto':
-                    this._executeGoto(command, onComplete);
-                    break;
-                case 'circle':
-                    this._executeCircle(command, onComplete);
-                    break;
-                case 'dot':
-                    this._executeDot(command, onComplete);
-                    break;
-                case 'write':
-                    this._executeWrite(command, onComplete);
-                    break;
-                case 'setheading':
-                    const turtle   = command.turtle;
-                    const angle    = command.args[0];
-                    turtle.heading = (360 + angle % 360) % 360;
-                    this._redraw();
-                    onComplete();
-                    break;
-                // ... 其他 case ...
-                // 以下是无动画的瞬时命令
-                default:
-                    this._executeInstantCommand(command);
-                    onComplete();
-                    break;
+        // 瞬时完成的子步骤在循环中继续，避免递归过深；有动画的子步骤完成时由回调重新进入
+        const run = () => {
+            for (;;) {
+                if (pending.length === 0) {
+                    let step;
+                    try {
+                        step = steps ? collect(() => steps.next()) : {done: true};
+                    } catch (error) {
+                        onComplete(error);
+                        return;
+                    }
+                    if (step.done && pending.length === 0) {
+                        onComplete();
+                        return;
+                    }
+                    if (step.done) steps = null;
+                    continue;
+                }
+                let sync = true, finished = false;
+                this._dispatch(pending.shift(), () => {
+                    finished = true;
+                    if (!sync) run();
+                });
+                sync = false;
+                if (!finished) return;
             }
-            this._processQueue();
-        });
+        };
+        run();
     }
-    
+
     /**
      * @private
      * 执行无动画的瞬时命令
@@ -202,21 +2803,15 @@ class Screen {
         const turtle = command.turtle;
         switch (command.name) {
             case 'pencolor':
-                turtle.penState.color = _parseColor(...command.args);
+                turtle.penState.color = command.args[0];
                 turtle._startNewPathSegment();
                 break;
             case 'fillcolor':
-                turtle.penState.fillColor = _parseColor(...command.args);
+                turtle.penState.fillColor = command.args[0];
                 break;
             case 'color':
-                if (command.args.length === 1) {
-                    const color = _parseColor(command.args[0]);
-                    turtle.penState.color     = color;
-                    turtle.penState.fillColor = color;
-                } else if (command.args.length >= 2) {
-                    turtle.penState.color     = _parseColor(command.args[0]);
-                    turtle.penState.fillColor = _parseColor(command.args[1]);
-                }
+                turtle.penState.color     = command.args[0];
+                turtle.penState.fillColor = command.args[1];
                 turtle._startNewPathSegment();
                 break;
             case 'pensize':
@@ -231,24 +2826,90 @@ class Screen {
                 turtle.penState.isDown = true;
                 turtle._startNewPathSegment();
                 break;
+            case 'fillrule':
+                turtle.penState.fillRule = command.args[0];
+                break;
+            case 'penstyle':
+                // pendash/linecap/linejoin/opacity/blendmode 共用：args 为 [penState 中的字段名, 值]
+                turtle.penState[command.args[0]] = command.args[1];
+                if (command.args[0] === 'blend' && command.args[1] !== 'source-over') this._blendUsed = true;
+                turtle._startNewPathSegment();
+                break;
             case 'begin_fill':
                 turtle.penState.isFilling = true;
                 turtle.fillPath = [{x: turtle.x, y: turtle.y}];
+                // 与 Python 一致，填充区域位于 begin_fill 之后画的线条 (例如它的轮廓) 下面
+                turtle._fillSeq = this._nextSeq++;
                 break;
             case 'end_fill':
                 this._executeEndFill(command, () => {});
                 break;
+            case 'begin_poly':
+                turtle._poly = [[turtle.x, turtle.y]];
+                turtle._creatingPoly = true;
+                break;
+            case 'end_poly':
+                turtle._creatingPoly = false;
+                break;
+            case 'shapesize': {
+                const [wid, len, outline] = command.args;
+                const state = turtle._shapeState;
+                state.stretch = [wid === null ? state.stretch[0] : wid, len === null ? state.stretch[1] : len];
+                if (outline !== null) state.outline = outline;
+                this._requestRedraw();
+                break;
+            }
+            case 'shearfactor':
+                turtle._shapeState.shear = command.args[0];
+                this._requestRedraw();
+                break;
+            case 'tilt': {
+                const [angle, relative] = command.args;
+                const tilt = relative ? turtle._shapeState.tilt + angle : angle;
+                turtle._shapeState.tilt = (tilt % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+                this._requestRedraw();
+                break;
+            }
+            case 'shapetransform':
+                Object.assign(turtle._shapeState, _decomposeShapeTransform(command.args));
+                this._requestRedraw();
+                break;
+            case 'stamp': {
+                const sprite = turtle._sprite();
+                if (sprite) turtle.stamps.push(Object.assign({id: command.args[0], seq: this._nextSeq++}, sprite));
+                this._requestRedraw();
+                break;
+            }
+            case 'clearstamp':
+                turtle.stamps = turtle.stamps.filter(stamp => stamp.id !== command.args[0]);
+                this._invalidateLayers(); // 印记已经画进了缓存，只能重建
+                break;
+            case 'clearstamps': {
+                // 与 Python 一致：null 删除全部，n >= 0 删除最早的 n 个，n < 0 删除最近的 |n| 个
+                const n = command.args[0];
+                if (n === null) turtle.stamps = [];
+                else if (n >= 0) turtle.stamps = turtle.stamps.slice(n);
+                else turtle.stamps = turtle.stamps.slice(0, turtle.stamps.length + n);
+                this._invalidateLayers();
+                break;
+            }
+            case 'teleport':
+                this._executeTeleport(command);
+                break;
+            case 'pen':
+                this._executePen(command);
+                break;
             case 'hideturtle':
                 turtle.isVisible = false;
-                this._redraw();
+                this._requestRedraw();
                 break;
             case 'showturtle':
                 turtle.isVisible = true;
-                this._redraw();
+                this._requestRedraw();
                 break;
             case 'shape':
                 turtle.shapeName = command.args[0];
-                this._redraw();
+                this._requestRedraw();
                 break;
             case 'clear':
                 this._executeClear(command, () => {});
@@ -256,80 +2917,677 @@ class Screen {
             case 'reset':
                 this._executeReset(command, () => {});
                 break;
+            case 'undo':
+                turtle._popUndoEntry();
+                this._invalidateLayers(); // 被撤销的绘图已经画进了缓存，只能重建
+                break;
+            case 'setundobuffer':
+                // 与 Python 一致：重新设置大小会丢弃已有的撤销记录
+                turtle._undoBufferSize = command.args[0];
+                turtle._undoBuffer     = [];
+                break;
+            case 'clone': {
+                const source = this.turtles.find(t => t.id === command.args[0]);
+                if (source) turtle._copyStateFrom(source);
+                this._requestRedraw();
+                break;
+            }
+            case 'layer':
+                turtle._layer = command.args[0];
+                this._invalidateLayers(); // 它的绘图要移到另一个图层的缓存中
+                break;
+            case 'edgepolicy':
+                turtle._edgePolicy = command.args[0];
+                break;
         }
     }
 
 
     /**
      * @private
-     * 重绘整个画布。这是唯一的绘图函数，确保了渲染的一致性。
+     * 重绘画布。
+     * 已经完成的绘图被缓存在每个图层的离屏画布上，每帧只把新增的部分追加到缓存，
+     * 再合成缓存、尚未提交的记录 (例如正在进行的那一段移动) 和海龟图标，因此每帧的开销与历史长度无关。
+     * 无法创建离屏画布时 (例如只传入了一个 2D 上下文) 退回到完整重绘。
      */
     _redraw() {
+        this.ctx.setTransform(this._pixelRatio, 0, 0, this._pixelRatio, 0, 0);
+        // 混合模式要和下方的全部内容混合，分图层缓存会改变结果，所以用过混合模式后总是完整重绘
+        if (this._layersAvailable() && !this._blendUsed) {
+            this._composite(this.ctx);
+        } else {
+            this._render(this.ctx);
+        }
+        if (this._recorder) this._recorder.capture(this._now());
+    }
+
+    /**
+     * @private
+     * 把整个绘图模型完整地渲染到指定的 2D 上下文上，不使用任何缓存。
+     * 调用方负责设置从窗口 (CSS 像素) 到 ctx 像素的变换 (像素比，或按比例导出时的缩放)，平移和缩放由这里叠加。
+     */
+    _render(ctx) {
         // 1. 清空画布并填充背景色
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.fillStyle = this.bgColor;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this._paintBackground(ctx);
 
-        // 2. 遍历所有海龟
-        this.turtles.forEach(turtle => {
-            // 3. 绘制该海龟所有已完成的“填充”区域
-            turtle.fills.forEach(fill => {
-                this.ctx.beginPath();
-                this.ctx.moveTo(fill.path[0].x, fill.path[0].y);
-                for (let i = 1; i < fill.path.length; i++) {
-                    this.ctx.lineTo(fill.path[i].x, fill.path[i].y);
+        // 2. 按图层和创建的先后绘制所有海龟的绘图，每个图层的最后是其中的海龟图标
+        ctx.save();
+        ctx.transform(...this._viewMatrix());
+        this._paintOrder(this.turtles).forEach(record => this._paintRecord(ctx, record));
+        ctx.restore();
+    }
+
+    /**
+     * @private
+     * 按绘制顺序列出 turtles 的绘图记录 {kind, item}：先按海龟所在的图层 (参见 Turtle#layer)，
+     * 同一图层内按记录的序号 (创建的先后)，与 Python 中后画的内容盖住先画的内容一致。
+     * sprites 为 true 时，每个图层的最后是其中可见海龟的图标 {kind: 'sprite', turtle}。
+     */
+    _paintOrder(turtles, sprites = true) {
+        const order = [];
+        _sortedLayers(turtles).forEach(layer => {
+            const members = turtles.filter(turtle => turtle._layer === layer);
+            const records = [];
+            members.forEach(turtle => _RECORD_KINDS.forEach(([kind, field]) => {
+                turtle[field].forEach(item => records.push({kind, item}));
+            }));
+            records.sort((a, b) => a.item.seq - b.item.seq);
+            order.push(...records);
+            if (sprites) members.forEach(turtle => turtle.isVisible && order.push({kind: 'sprite', turtle}));
+        });
+        return order;
+    }
+
+    /**
+     * @private
+     * 绘制一条绘图记录。路径段可以只画从 start 开始的部分，offset 为之前部分的长度 (让虚线接续下去)。
+     */
+    _paintRecord(ctx, {kind, item, turtle, start = 0, offset = 0}) {
+        switch (kind) {
+            case 'fill':    this._paintFill(ctx, item); break;
+            case 'stroke':  this._paintStroke(ctx, item.pen, start ? item.points.slice(start) : item.points, offset); break;
+            case 'writing': this._paintWriting(ctx, item); break;
+            case 'dot':     this._paintDot(ctx, item); break;
+            case 'stamp':   this._paintSprite(ctx, item); break;
+            case 'sprite':  turtle._draw(ctx); break;
+        }
+    }
+
+    /**
+     * @private
+     * 使用图层缓存合成画面，结果与 _render 完全一致。
+     * 每个图层 (参见 Turtle#layer) 有一个离屏画布，按序号缓存该图层的一段前缀；
+     * 之后的记录 (例如比正在进行的移动更新的记录) 每帧直接画在画布上，最后是海龟图标。
+     */
+    _composite(ctx) {
+        const {width, height} = this.canvas;
+        if (this._layersStale || this._layerSize.width !== width || this._layerSize.height !== height) {
+            this._caches.clear();
+            this._layerSize   = {width, height};
+            this._layersStale = false;
+        }
+
+        this._paintBackground(ctx);
+        const view = this._viewMatrix();
+        _sortedLayers(this.turtles).forEach(layer => {
+            const members = this.turtles.filter(turtle => turtle._layer === layer);
+            const {cache, pending} = this._syncCache(layer, members);
+            if (cache.canvas) {
+                // 缓存与画布的像素尺寸相同，平移缩放已经画在缓存里了，按像素原样贴上
+                ctx.save();
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                ctx.drawImage(cache.canvas, 0, 0);
+                ctx.restore();
+            }
+            ctx.save();
+            ctx.transform(...view);
+            pending.forEach(record => this._paintRecord(ctx, record));
+            members.forEach(turtle => turtle.isVisible && turtle._draw(ctx));
+            ctx.restore();
+        });
+    }
+
+    /**
+     * @private
+     * 把一个图层中可以提交的新记录按序号追加到它的缓存上，返回缓存和尚未提交的记录 (按序号排列)。
+     * 缓存的最后一条记录是路径段时，它之后增加的点作为一条从断点接续的记录追加。
+     * 正在移动的路径段的最后一个点还会变化，正在填充的区域还没有记录，比它们更新的记录都暂不提交，
+     * 这样缓存总是按序号的一段前缀，不必因为顺序而重建。
+     */
+    _syncCache(layer, members) {
+        let cache = this._caches.get(layer);
+        if (!cache) {
+            cache = {canvas: null, seq: 0, tail: null};
+            this._caches.set(layer, cache);
+        }
+
+        const pending = [];
+        const tail    = cache.tail;
+        // 只有一个点的路径段开始移动时会换一个新的序号 (参见 Turtle#_drawingSegment)，这时它作为新记录整段重画
+        if (tail && tail.segment.seq <= cache.seq && tail.segment.points.length > tail.points) {
+            pending.push({kind: 'stroke', item: tail.segment, start: Math.max(tail.points - 1, 0), offset: tail.dash});
+        }
+        let limit = Infinity;
+        members.forEach(turtle => {
+            // 每种记录在海龟的数组中按序号递增，从末尾找出新记录即可
+            _RECORD_KINDS.forEach(([kind, field]) => {
+                const items = turtle[field];
+                for (let i = items.length - 1; i >= 0 && items[i].seq > cache.seq; i--) {
+                    pending.push({kind, item: items[i]});
                 }
-                this.ctx.closePath();
-                this.ctx.fillStyle = fill.color;
-                this.ctx.fill();
             });
+            if (turtle._liveMove) {
+                const segment = turtle.path[turtle.path.length - 1];
+                if (segment.pen.isDown) limit = Math.min(limit, segment.seq);
+            }
+            if (turtle.penState.isFilling) limit = Math.min(limit, turtle._fillSeq);
+        });
+        pending.sort((a, b) => a.item.seq - b.item.seq);
+
+        let committed = 0;
+        const view = this._viewMatrix().map(v => v * this._pixelRatio);
+        for (const record of pending) {
+            const seq = record.item.seq;
+            if (seq > limit) break;
+            if (!cache.canvas) cache.canvas = this._createCanvas(this.canvas.width, this.canvas.height);
+            const ctx = cache.canvas.getContext('2d');
+            ctx.setTransform(...view);
+            if (record.kind !== 'stroke') {
+                this._paintRecord(ctx, record);
+                cache.tail = null;
+            } else {
+                const segment = record.item;
+                const live    = seq === limit; // 正在移动，最后一个点先不提交
+                const end     = live ? segment.points.length - 1 : segment.points.length;
+                const start   = record.start || 0;
+                const points  = segment.points.slice(start, end);
+                const offset  = record.offset || 0;
+                this._paintStroke(ctx, segment.pen, points, offset);
+                cache.tail = {segment, points: end, dash: segment.pen.dash.length ? offset + this._strokeLength(points) : 0};
+            }
+            cache.seq = seq;
+            committed++;
+            if (seq === limit) break;
+        }
+
+        const rest = pending.slice(committed);
+        if (committed && cache.tail && cache.tail.segment.points.length > cache.tail.points) {
+            const {segment, points, dash} = cache.tail;
+            rest.unshift({kind: 'stroke', item: segment, start: Math.max(points - 1, 0), offset: dash});
+        }
+        return {cache, pending: rest};
+    }
+
+    /**
+     * @private
+     * 是否可以使用图层缓存 (需要能够创建离屏画布)
+     */
+    _layersAvailable() {
+        if (this._canLayer === null) {
+            this._canLayer = !!this._createCanvas(1, 1);
+        }
+        return this._canLayer;
+    }
+
+    /**
+     * @private
+     * 让所有图层在下一次重绘时从绘图模型完整重建。
+     * 在绘图被删除或改写 (clear、reset、undo)、坐标系变化时调用。
+     */
+    _invalidateLayers() {
+        this._layersStale = true;
+        this._requestRedraw();
+    }
+
+    /**
+     * @private
+     * 清空画布并填充背景色
+     */
+    _paintBackground(ctx) {
+        ctx.clearRect(0, 0, this._width, this._height);
+        ctx.fillStyle = this.bgColor;
+        ctx.fillRect(0, 0, this._width, this._height);
+    }
+
+    /**
+     * @private
+     * 绘制一个已完成的填充区域
+     */
+    _paintFill(ctx, fill) {
+        ctx.save();
+        this._applyComposite(ctx, fill);
+        ctx.beginPath();
+        const scale = this._unitScale();
+        fill.path.forEach((op, i) => {
+            if (op.arc) {
+                // 海龟坐标中的圆在两个轴缩放不同时是画布上的椭圆；y 轴翻转，所以角度取反。
+                // ellipse() 的半径不能为负：setworldcoordinates() 把某个轴反过来时，改为镜像角度
+                const {cx, cy, r, start, end} = op.arc;
+                const c     = this._toCanvas(cx, cy);
+                const turn  = scale.x * scale.y > 0 ? -1 : 1;
+                const base  = scale.x < 0 ? 180 : 0;
+                const angle = deg => (base + turn * deg) * Math.PI / 180;
+                ctx.ellipse(c.x, c.y, Math.abs(r * scale.x), Math.abs(r * scale.y), 0, angle(start), angle(end), (end > start) === (turn < 0));
+                return;
+            }
+            const c = this._toCanvas(op.x, op.y);
+            if (i === 0 || op.move) ctx.moveTo(c.x, c.y);
+            else ctx.lineTo(c.x, c.y);
+        });
+        ctx.fillStyle = fill.color;
+        ctx.fill(fill.rule);
+        ctx.restore();
+    }
+
+    /**
+     * @private
+     * 用给定的画笔状态描一条折线 (points 为海龟坐标)
+     */
+    _paintStroke(ctx, pen, points, dashOffset = 0) {
+        if (!pen.isDown || points.length < 2) return;
+        ctx.save();
+        this._applyComposite(ctx, pen);
+        ctx.beginPath();
+        ctx.strokeStyle    = pen.color;
+        ctx.lineWidth      = pen.width;
+        ctx.lineCap        = pen.lineCap;
+        ctx.lineJoin       = pen.lineJoin;
+        ctx.setLineDash(pen.dash);
+        ctx.lineDashOffset = dashOffset;
+        points.forEach((p, i) => {
+            const c = this._toCanvas(p.x, p.y);
+            if (i === 0) ctx.moveTo(c.x, c.y);
+            else ctx.lineTo(c.x, c.y);
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * @private
+     * 折线在画布上的长度 (像素)，用于让分段绘制的虚线保持连续
+     */
+    _strokeLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            const a = this._toCanvas(points[i - 1].x, points[i - 1].y);
+            const b = this._toCanvas(points[i].x, points[i].y);
+            length += Math.hypot(b.x - a.x, b.y - a.y);
+        }
+        return length;
+    }
+
+    /**
+     * @private
+     * 应用画笔的透明度和混合模式 (调用方负责 save/restore)
+     * @param {{opacity: number, blend: string}} style - 画笔状态或带有这两个字段的绘图记录
+     */
+    _applyComposite(ctx, style) {
+        ctx.globalAlpha              = style.opacity;
+        ctx.globalCompositeOperation = style.blend;
+    }
+
+    /**
+     * @private
+     * 绘制一段已书写的文字
+     */
+    _paintWriting(ctx, w) {
+        const c      = this._toCanvas(w.x, w.y);
+        const layout = this._layoutText(w);
+        ctx.save();
+        this._applyComposite(ctx, w);
+        ctx.translate(c.x, c.y);
+        if (w.heading !== undefined && w.heading !== null) ctx.rotate(-this._screenAngle(w.heading) * Math.PI / 180);
+        if (w.background) {
+            const box = layout.box;
+            ctx.fillStyle = w.background;
+            ctx.fillRect(box.x, box.y, box.width, box.height);
+        }
+        ctx.fillStyle    = w.color;
+        ctx.font         = w.font;
+        ctx.textAlign    = w.align;
+        ctx.textBaseline = 'middle';
+        if (w.outline) {
+            ctx.strokeStyle = w.outline;
+            ctx.lineWidth   = w.outlineWidth;
+            ctx.lineJoin    = 'round';
+        }
+        // 先描边再填充：轮廓只向外扩展，不会盖住文字本身
+        layout.lines.forEach((line, i) => {
+            if (w.outline) ctx.strokeText(line, 0, i * layout.lineHeight);
+            ctx.fillText(line, 0, i * layout.lineHeight);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * @private
+     * 文字的排版，单位为画布像素，相对于书写位置且未旋转：第一行的中线经过书写位置，之后的各行依次向下。
+     * 返回各行文字、行高、最宽一行的宽度、整段文字的高度，以及包含背景留白的外框 box。
+     * @param {object} w - 书写记录，或者至少包含 text、font、fontSpec、align、lineSpacing、padding 的对象
+     */
+    _layoutText(w) {
+        const lines      = String(w.text).split('\n');
+        const fontSize   = w.fontSpec[1] * 4 / 3; // 字号以 pt 为单位
+        const lineHeight = fontSize * (w.lineSpacing || 1.2);
+        const saved      = this.ctx.font;
+        this.ctx.font    = w.font;
+        const width      = Math.max(...lines.map(line => this.ctx.measureText(line).width));
+        this.ctx.font    = saved;
+        const height     = (lines.length - 1) * lineHeight + fontSize;
+        const padding    = w.padding || 0;
+        const left       = {left: 0, center: -width / 2, right: -width}[w.align] || 0;
+        return {
+            lines, lineHeight, width, height,
+            box: {x: left - padding, y: -fontSize / 2 - padding, width: width + 2 * padding, height: height + 2 * padding},
+        };
+    }
+
+    /**
+     * @private
+     * 绘制一个由 Turtle#_sprite 生成的形状 (海龟图标或印记)
+     */
+    _paintSprite(ctx, sprite) {
+        const position = this._toCanvas(sprite.x, sprite.y);
+        ctx.save(); // 保存当前画布状态
+        ctx.translate(position.x, position.y); // 将坐标原点移动到海龟位置
+
+        if (sprite.image) {
+            // 与 Python 一致，图像形状不随朝向旋转，但会按 shapetransform() 拉伸、剪切和倾斜；尚未加载完成的图像暂不绘制
+            const image = sprite.image;
+            if (_imageReady(image)) {
+                const w = image.naturalWidth || image.width, h = image.naturalHeight || image.height;
+                ctx.transform(...sprite.imageMatrix, 0, 0);
+                ctx.drawImage(image, -w / 2, -h / 2, w, h);
+            }
+            ctx.restore();
+            return;
+        }
+
+        ctx.rotate(-this._screenAngle(sprite.heading) * Math.PI / 180); // 根据海龟朝向旋转画布
+        ctx.lineWidth = sprite.outline;
+        sprite.components.forEach(component => {
+            ctx.beginPath();
+            component.points.forEach((pt, i) => i === 0 ? ctx.moveTo(pt[0], pt[1]) : ctx.lineTo(pt[0], pt[1]));
+            ctx.closePath();
+            ctx.fillStyle   = component.fill;
+            ctx.strokeStyle = component.outline;
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.restore(); // 恢复画布状态
+    }
+
+    /**
+     * @private
+     * 判断画布坐标 (px, py) 是否落在形状的轮廓内 (已包含 shapetransform() 的变换)
+     */
+    _spriteContains(sprite, px, py) {
+        return this._spriteOutline(sprite).some(polygon => _pointInPolygon(px, py, polygon));
+    }
+
+    /**
+     * @private
+     * 形状在画布上的轮廓：各个多边形的顶点 [[x, y], ...]，为画布坐标 (与 _paintSprite 的 translate + rotate 相同)。
+     * 图像形状是按 imageMatrix 变换后的矩形；尚未加载完成的图像没有轮廓。
+     */
+    _spriteOutline(sprite) {
+        const position = this._toCanvas(sprite.x, sprite.y);
+        if (sprite.image) {
+            const image = sprite.image;
+            if (!_imageReady(image)) return [];
+            const w = image.naturalWidth || image.width, h = image.naturalHeight || image.height;
+            const [a, b, c, d] = sprite.imageMatrix;
+            const corners = [[-w / 2, -h / 2], [w / 2, -h / 2], [w / 2, h / 2], [-w / 2, h / 2]];
+            return [corners.map(([x, y]) => [position.x + a * x + c * y, position.y + b * x + d * y])];
+        }
+
+        const rad = -this._screenAngle(sprite.heading) * Math.PI / 180;
+        const cos = Math.cos(rad), sin = Math.sin(rad);
+        return sprite.components.map(component => component.points.map(([x, y]) => [
+            position.x + x * cos - y * sin,
+            position.y + x * sin + y * cos,
+        ]));
+    }
+
+    /**
+     * @private
+     * 指定海龟的全部绘图在海龟坐标中的外框 {llx, lly, urx, ury}，没有绘图时返回 null。
+     * 线宽、点、文字和形状的大小以像素为单位，所以先在画布坐标中求外框，再换算回海龟坐标。
+     */
+    _bbox(turtles) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const add = (x, y, pad = 0) => {
+            minX = Math.min(minX, x - pad);
+            minY = Math.min(minY, y - pad);
+            maxX = Math.max(maxX, x + pad);
+            maxY = Math.max(maxY, y + pad);
+        };
+        const addPoint = (p, pad) => {
+            const c = this._toCanvas(p.x, p.y);
+            add(c.x, c.y, pad);
+        };
+        const scale = this._unitScale();
 
-            // 4. 绘制该海龟的所有“路径段”
+        turtles.forEach(turtle => {
             turtle.path.forEach(segment => {
                 if (!segment.pen.isDown || segment.points.length < 2) return;
-                this.ctx.beginPath();
-                this.ctx.strokeStyle = segment.pen.color;
-                this.ctx.lineWidth   = segment.pen.width;
-                this.ctx.moveTo(segment.points[0].x, segment.points[0].y);
-                for (let i = 1; i < segment.points.length; i++) {
-                    this.ctx.lineTo(segment.points[i].x, segment.points[i].y);
-                }
-                this.ctx.stroke();
+                segment.points.forEach(p => addPoint(p, segment.pen.width / 2));
             });
-
-            // 5. 绘制该海龟所有已书写的文字
+            turtle.fills.forEach(fill => fill.path.forEach(op => {
+                if (!op.arc) {
+                    addPoint(op);
+                    return;
+                }
+                // 圆弧的两个端点，以及它经过的上下左右四个极值点
+                const {cx, cy, r, start, end} = op.arc;
+                const c      = this._toCanvas(cx, cy);
+                const angles = [start, end];
+                for (let a = Math.ceil(Math.min(start, end) / 90) * 90; a < Math.max(start, end); a += 90) angles.push(a);
+                angles.forEach(a => {
+                    const rad = a * Math.PI / 180;
+                    add(c.x + r * scale.x * Math.cos(rad), c.y - r * scale.y * Math.sin(rad));
+                });
+            }));
             turtle.writings.forEach(w => {
-                this.ctx.fillStyle    = w.color;
-                this.ctx.font         = w.font;
-                this.ctx.textAlign    = w.align;
-                this.ctx.textBaseline = 'middle';
-                this.ctx.fillText(w.text, w.x, w.y);
+                const c       = this._toCanvas(w.x, w.y);
+                const {box}   = this._layoutText(w);
+                const padding = w.background ? 0 : w.padding || 0; // 没有背景时留白不可见
+                const x0 = box.x + padding, y0 = box.y + padding;
+                const x1 = box.x + box.width - padding, y1 = box.y + box.height - padding;
+                const rad = w.heading === undefined || w.heading === null ? 0 : -this._screenAngle(w.heading) * Math.PI / 180;
+                const cos = Math.cos(rad), sin = Math.sin(rad);
+                [[x0, y0], [x1, y0], [x1, y1], [x0, y1]].forEach(([x, y]) => {
+                    add(c.x + x * cos - y * sin, c.y + x * sin + y * cos, w.outline ? w.outlineWidth / 2 : 0);
+                });
             });
+            turtle.dots.forEach(d => addPoint(d, d.size / 2));
+            turtle.stamps.forEach(stamp => this._spriteOutline(stamp).forEach(polygon => {
+                polygon.forEach(([x, y]) => add(x, y, stamp.image ? 0 : stamp.outline / 2));
+            }));
+        });
 
-            // 6. 绘制该海龟所有已画的点
-            turtle.dots.forEach(d => {
-                this.ctx.beginPath();
-                this.ctx.arc(d.x, d.y, d.size / 2, 0, 2 * Math.PI);
-                this.ctx.fillStyle = d.color;
-                this.ctx.fill();
-            });
+        if (minX === Infinity) return null;
+        const ll = this._fromCanvas(minX, maxY);
+        const ur = this._fromCanvas(maxX, minY);
+        return {llx: ll.x, lly: ll.y, urx: ur.x, ury: ur.y};
+    }
+
+    /**
+     * @private
+     * 把一个形状序列化为 SVG 元素 (每行一个)。只有通过 URL 注册的图像才能被导出。
+     */
+    _spriteSVG(sprite) {
+        const n = _svgNumber;
+        const c = this._toCanvas(sprite.x, sprite.y);
+        if (sprite.image) {
+            const image = sprite.image;
+            if (sprite.url === null || !_imageReady(image)) return [];
+            const w = image.naturalWidth || image.width, h = image.naturalHeight || image.height;
+            const matrix = [...sprite.imageMatrix, c.x, c.y].map(n).join(' ');
+            return [`    <image href="${_escapeXML(sprite.url)}" x="${n(-w / 2)}" y="${n(-h / 2)}" width="${n(w)}" height="${n(h)}" transform="matrix(${matrix})"/>`];
+        }
+        const transform = `translate(${n(c.x)} ${n(c.y)}) rotate(${n(-this._screenAngle(sprite.heading))})`;
+        return sprite.components.map(component => {
+            const points = component.points.map(pt => `${n(pt[0])},${n(pt[1])}`).join(' ');
+            const paint  = `${_svgPaint('fill', component.fill)} ${_svgPaint('stroke', component.outline)} stroke-width="${n(sprite.outline)}"`;
+            return `    <polygon points="${points}" transform="${transform}" ${paint}/>`;
+        });
+    }
+
+    /**
+     * @private
+     * 绘制一个点
+     */
+    _paintDot(ctx, d) {
+        const c = this._toCanvas(d.x, d.y);
+        ctx.save();
+        this._applyComposite(ctx, d);
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, d.size / 2, 0, 2 * Math.PI);
+        ctx.fillStyle = d.color;
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * @private
+     * 把指定海龟的绘图模型 (填充、路径段、文字、点、印记以及可选的海龟形状) 序列化为 SVG。
+     * 绘制顺序与 _redraw 保持一致。
+     */
+    _buildSVG(turtles, {shapes = false, background = true} = {}) {
+        const width  = this._width;
+        const height = this._height;
+        const n      = _svgNumber;
+        const view   = this._viewMatrix();
+        const group  = view.every((v, i) => v === [1, 0, 0, 1, 0, 0][i]) ? '  <g>' : `  <g transform="matrix(${view.map(n).join(' ')})">`;
+        const pt     = p => { const c = this._toCanvas(p.x, p.y); return `${n(c.x)},${n(c.y)}`; };
+        const out    = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        ];
+
+        if (background) {
+            out.push(`  <rect width="${width}" height="${height}" ${_svgPaint('fill', this.bgColor)}/>`);
+        }
+
+        out.push(group);
+        this._paintOrder(turtles, shapes).forEach(({kind, item, turtle}) => {
+            switch (kind) {
+                case 'fill':
+                    out.push(`    <path d="${this._fillPathData(item.path)}" ${_svgPaint('fill', item.color)} fill-rule="${item.rule}"${_svgComposite(item)}/>`);
+                    break;
+                case 'stroke': {
+                    if (!item.pen.isDown || item.points.length < 2) break;
+                    const pen    = item.pen;
+                    const points = item.points.map(pt).join(' ');
+                    let attrs = `${_svgPaint('stroke', pen.color)} stroke-width="${n(pen.width)}" stroke-linecap="${pen.lineCap}" stroke-linejoin="${pen.lineJoin}"`;
+                    if (pen.dash.length) attrs += ` stroke-dasharray="${pen.dash.map(n).join(' ')}"`;
+                    out.push(`    <polyline points="${points}" fill="none" ${attrs}${_svgComposite(pen)}/>`);
+                    break;
+                }
+                case 'writing':
+                    out.push(...this._writingSVG(item));
+                    break;
+                case 'dot': {
+                    const c = this._toCanvas(item.x, item.y);
+                    out.push(`    <circle cx="${n(c.x)}" cy="${n(c.y)}" r="${n(item.size / 2)}" ${_svgPaint('fill', item.color)}${_svgComposite(item)}/>`);
+                    break;
+                }
+                case 'stamp':
+                    out.push(...this._spriteSVG(item));
+                    break;
+                case 'sprite': {
+                    const sprite = turtle._sprite();
+                    if (sprite) out.push(...this._spriteSVG(sprite));
+                    break;
+                }
+            }
+        });
+        out.push('  </g>');
+
+        out.push('</svg>');
+        return out.join('\n');
+    }
+
+    /**
+     * @private
+     * 把一段已书写的文字转换为 SVG 元素
+     */
+    _writingSVG(w) {
+        const n = _svgNumber;
+        const [fontName, fontSize, fontType = 'normal'] = w.fontSpec;
+        const anchor = {left: 'start', center: 'middle', right: 'end'}[w.align] || 'start';
+        const c      = this._toCanvas(w.x, w.y);
+        const layout = this._layoutText(w);
+        const angle  = w.heading !== undefined && w.heading !== null ? this._screenAngle(w.heading) : 0;
+        let attrs = `${_svgPaint('fill', w.color)} font-family="${_escapeXML(fontName)}" font-size="${fontSize}pt"`;
+        if (/bold/.test(fontType)) attrs += ' font-weight="bold"';
+        if (/italic/.test(fontType)) attrs += ' font-style="italic"';
+        if (/underline/.test(fontType)) attrs += ' text-decoration="underline"';
+        if (w.outline) attrs += ` ${_svgPaint('stroke', w.outline)} stroke-width="${n(w.outlineWidth)}" stroke-linejoin="round" paint-order="stroke"`;
+        attrs += ` text-anchor="${anchor}" dominant-baseline="middle"`;
+        if (layout.lines.length === 1 && !angle && !w.background) {
+            return [`    <text x="${n(c.x)}" y="${n(c.y)}" ${attrs}${_svgComposite(w)}>${_escapeXML(w.text)}</text>`];
+        }
+        // 多行、旋转或带背景的文字放在以书写位置为原点的组中，与画布上的绘制方式相同
+        const rotate = angle ? ` rotate(${n(-angle)})` : '';
+        const out    = [];
+        out.push(`    <g transform="translate(${n(c.x)} ${n(c.y)})${rotate}"${_svgComposite(w)}>`);
+        if (w.background) {
+            const box = layout.box;
+            out.push(`      <rect x="${n(box.x)}" y="${n(box.y)}" width="${n(box.width)}" height="${n(box.height)}" ${_svgPaint('fill', w.background)}/>`);
+        }
+        layout.lines.forEach((line, i) => {
+            out.push(`      <text x="0" y="${n(i * layout.lineHeight)}" ${attrs}>${_escapeXML(line)}</text>`);
+        });
+        out.push('    </g>');
+        return out;
+    }
 
-            // 7. 如果海龟可见，最后绘制海龟图标
-            if (turtle.isVisible) {
-                turtle._draw();
+    /**
+     * @private
+     * 把填充路径转换为 SVG 的 path 数据。每个轮廓以 M 开始、以 Z 结束，圆弧使用 A 命令。
+     */
+    _fillPathData(ops) {
+        const n     = _svgNumber;
+        const scale = this._unitScale();
+        const out   = [];
+        ops.forEach((op, i) => {
+            if (i === 0 || op.move) {
+                if (i > 0) out.push('Z');
+                const c = this._toCanvas(op.x, op.y);
+                out.push(`M${n(c.x)},${n(c.y)}`);
+                return;
+            }
+            if (!op.arc) {
+                const c = this._toCanvas(op.x, op.y);
+                out.push(`L${n(c.x)},${n(c.y)}`);
+                return;
+            }
+            // 一个 A 命令无法表示整圆，按不超过 180 度分段
+            const {cx, cy, r, start, end} = op.arc;
+            const pieces = Math.max(1, Math.ceil(Math.abs(end - start) / 180 - 1e-9));
+            // 海龟坐标中的逆时针在画布上也是逆时针，除非 setworldcoordinates() 只反过来了一个轴
+            const sweep  = (end > start) === (scale.x * scale.y > 0) ? 0 : 1;
+            for (let k = 1; k <= pieces; k++) {
+                const rad = (start + (end - start) * k / pieces) * Math.PI / 180;
+                const c   = this._toCanvas(cx + r * Math.cos(rad), cy + r * Math.sin(rad));
+                out.push(`A${n(Math.abs(r * scale.x))},${n(Math.abs(r * scale.y))} 0 0 ${sweep} ${n(c.x)},${n(c.y)}`);
             }
         });
+        out.push('Z');
+        return out.join(' ');
     }
 
     _executeClear(command, onComplete) {
         command.turtle._clearDrawings();
-        this._redraw();
+        this._requestRedraw();
         onComplete();
     }
 
     _executeReset(command, onComplete) {
         command.turtle._internal_reset();
-        this._redraw();
+        this._requestRedraw();
         onComplete();
     }
     
@@ -338,81 +3596,154 @@ class Screen {
         turtle.penState.isFilling = false;
         const path = turtle.fillPath;
 
-        if (path.length > 2) {
-            turtle.fills.push({path: [...path], color: turtle.penState.fillColor});
+        // 至少要有三个顶点或一段圆弧才能围出面积
+        if (path.length > 2 || path.some(op => op.arc)) {
+            turtle.fills.push({
+                path: [...path],
+                color: turtle.penState.fillColor,
+                rule: turtle.penState.fillRule,
+                opacity: turtle.penState.opacity,
+                blend: turtle.penState.blend,
+                seq: turtle._fillSeq,
+            });
         }
         turtle.fillPath = [];
-        this._redraw();
+        this._requestRedraw();
         onComplete();
     }
     
+    /**
+     * @private
+     * 瞬移：不画线。正在填充时默认在新位置开始当前填充区域的一个新轮廓 (配合 'evenodd' 规则可以挖洞)，
+     * fill_gap 为 true 时则把新位置直接连入当前轮廓。
+     */
+    _executeTeleport(command) {
+        const turtle = command.turtle;
+        const [x, y, fillGap] = command.args;
+
+        if (x !== null) turtle.x = x;
+        if (y !== null) turtle.y = y;
+        if (turtle.penState.isFilling) {
+            turtle.fillPath.push(fillGap ? {x: turtle.x, y: turtle.y} : {x: turtle.x, y: turtle.y, move: true});
+        }
+        turtle._startNewPathSegment();
+        this._requestRedraw();
+    }
+
+    /**
+     * @private
+     * 一次性设置 pen() 字典中的多个属性
+     */
+    _executePen(command) {
+        const turtle = command.turtle;
+        const pen    = command.args[0];
+        if ('shown' in pen)     turtle.isVisible = !!pen.shown;
+        if ('pendown' in pen)   turtle.penState.isDown = !!pen.pendown;
+        if ('pencolor' in pen)  turtle.penState.color = pen.pencolor;
+        if ('fillcolor' in pen) turtle.penState.fillColor = pen.fillcolor;
+        if ('pensize' in pen)   turtle.penState.width = pen.pensize;
+        if ('stretchfactor' in pen) turtle._shapeState.stretch = [...pen.stretchfactor];
+        if ('shearfactor' in pen)   turtle._shapeState.shear = pen.shearfactor;
+        if ('tilt' in pen)          turtle._shapeState.tilt = pen.tilt;
+        if ('outline' in pen)       turtle._shapeState.outline = pen.outline;
+        if ('pendash' in pen)       turtle.penState.dash = pen.pendash;
+        if ('linecap' in pen)       turtle.penState.lineCap = pen.linecap;
+        if ('linejoin' in pen)      turtle.penState.lineJoin = pen.linejoin;
+        if ('opacity' in pen)       turtle.penState.opacity = pen.opacity;
+        if ('blendmode' in pen) {
+            turtle.penState.blend = pen.blendmode;
+            if (pen.blendmode !== 'source-over') this._blendUsed = true;
+        }
+        turtle._startNewPathSegment();
+        this._requestRedraw();
+    }
+
     _executeWrite(command, onComplete) {
         const turtle = command.turtle;
-        const [arg, move, align, font] = command.args;
-        const [fontName, fontSize, fontType] = font;
-        const fontString = `${fontType} ${fontSize}pt ${fontName}`;
+        const [arg, move, align, font, style = {}] = command.args;
+        const [fontName, fontSize = 8, fontType = 'normal'] = font;
 
         const writing = {
             text: arg,
             x: turtle.x,
             y: turtle.y,
             align: align,
-            font: fontString,
+            font: _fontString(font),
+            fontSpec: [fontName, fontSize, fontType],
             color: turtle.penState.color,
+            opacity: turtle.penState.opacity,
+            blend: turtle.penState.blend,
+            seq: this._nextSeq++,
+            lineSpacing: style.lineSpacing || 1.2,
+            heading: style.rotate ? turtle._heading : null, // 沿朝向书写时记录朝向，坐标系变化后仍能算出画布上的角度
+            outline: style.outline || null,
+            outlineWidth: style.outlineWidth || 1,
+            background: style.background || null,
+            padding: style.padding === undefined ? 2 : style.padding,
         };
         turtle.writings.push(writing);
 
         if (move) {
-            this.ctx.font = fontString;
-            const textWidth = this.ctx.measureText(arg).width;
-            const rad = turtle.heading * Math.PI / 180;
-            turtle.x += Math.cos(rad) * textWidth;
-            turtle.y -= Math.sin(rad) * textWidth;
+            // 文字宽度 (多行时取最宽的一行) 以像素计，沿朝向换算成海龟坐标中的距离
+            const textWidth = this._layoutText(writing).width;
+            const rad = turtle._heading * Math.PI / 180;
+            const distance = textWidth / this._pixelsPerUnit(turtle._heading);
+            turtle.x += Math.cos(rad) * distance;
+            turtle.y += Math.sin(rad) * distance;
             turtle._startNewPathSegment();
         }
 
-        this._redraw();
+        this._requestRedraw();
         onComplete();
     }
 
     _executeDot(command, onComplete) {
         const turtle = command.turtle;
         const size   = command.args[0] || turtle.penState.width + 4;
-        const color  = _parseColor(...command.args.slice(1)) || turtle.penState.color;
+        const color  = command.args[1] || turtle.penState.color;
         
-        turtle.dots.push({ x: turtle.x, y: turtle.y, size: size, color: color });
-        this._redraw();
+        turtle.dots.push({
+            x: turtle.x, y: turtle.y, size: size, color: color,
+            opacity: turtle.penState.opacity, blend: turtle.penState.blend, seq: this._nextSeq++,
+        });
+        this._requestRedraw();
         onComplete();
     }
 
     _executeCircle(command, onComplete) {
         const turtle = command.turtle;
         let [radius, extent = 360, steps] = command.args;
+        // 没有指定 steps 时，填充区域记录为精确的圆弧，而不是下面画出的折线
+        const arc = !steps && turtle.penState.isFilling && radius !== 0 ? this._circleArc(turtle, radius, extent) : null;
         if (!steps) {
-            const circumference = Math.abs(2 * Math.PI * radius * (extent / 360));
+            const circumference = Math.abs(2 * Math.PI * radius * (extent / 360)) * this._pixelsPerUnit(turtle._heading);
             steps = Math.max(12, Math.min(360, Math.floor(circumference / 4) + 6));
         }
 
         const segmentAngle  = extent / steps;
-        const segmentLength = 2 * radius * Math.sin(Math.PI / 180 * segmentAngle / 2);
-        const originalSpeed = turtle._speed;
-        if (turtle._speed > 0) turtle.speed(10); // 加快画圆速度
+        // 与 Python 一致：半径为负时顺时针画圆，但海龟仍然向前走
+        const segmentLength = 2 * Math.abs(radius) * Math.sin(Math.PI / 180 * segmentAngle / 2);
+        const speed         = 10; // 加快画圆速度 (只作用于组成圆的小步，不改变海龟的 speed())
+        if (arc) turtle._fillArc = true;
 
         const turnDirection = radius > 0 ? 'left' : 'right';
         let stepsDone = 0;
 
         const step = () => {
             if (stepsDone >= steps) {
-                turtle.speed(originalSpeed);
+                if (arc) {
+                    turtle._fillArc = false;
+                    turtle.fillPath.push(arc);
+                }
                 onComplete();
                 return;
             }
 
-            const rotateCmd1 = {turtle, name: turnDirection, args: [segmentAngle / 2]};
+            const rotateCmd1 = {turtle, name: turnDirection, args: [segmentAngle / 2], speed};
             this._executeRotate(rotateCmd1, () => {
-                const moveCmd = {turtle, name: 'forward', args: [segmentLength]};
+                const moveCmd = {turtle, name: 'forward', args: [segmentLength], speed};
                 this._executeMove(moveCmd, () => {
-                    const rotateCmd2 = {turtle, name: turnDirection, args: [segmentAngle / 2]};
+                    const rotateCmd2 = {turtle, name: turnDirection, args: [segmentAngle / 2], speed};
                     this._executeRotate(rotateCmd2, () => {
                         stepsDone++;
                         step();
@@ -423,6 +3754,23 @@ class Screen {
         step();
     }
 
+    /**
+     * @private
+     * 计算 circle(radius, extent) 在海龟坐标中的精确圆弧，作为填充路径的一项。
+     * 圆心在海龟左侧 (radius > 0) 或右侧 (radius < 0) |radius| 处；角度为度，逆时针为正。
+     */
+    _circleArc(turtle, radius, extent) {
+        const sign   = Math.sign(radius);
+        const r      = Math.abs(radius);
+        const normal = (turtle._heading + 90 * sign) * Math.PI / 180;
+        const cx     = turtle.x + r * Math.cos(normal);
+        const cy     = turtle.y + r * Math.sin(normal);
+        const start  = turtle._heading - 90 * sign;
+        const end    = start + sign * extent;
+        const rad    = end * Math.PI / 180;
+        return {x: cx + r * Math.cos(rad), y: cy + r * Math.sin(rad), arc: {cx, cy, r, start, end}};
+    }
+
     _executeMove(command, onComplete) {
         const turtle   = command.turtle;
         const distance = command.name === 'forward' ? command.args[0] : -command.args[0];
@@ -431,42 +3779,16 @@ class Screen {
             return;
         }
 
-        const speed    = turtle._speed === 0 ? 0 : 1 / (turtle._speed * 15);
-        const duration = Math.abs(distance) * speed * 1000;
-        const rad      = turtle.heading * Math.PI / 180;
+        // 动画时长按屏幕上的像素距离计算，与坐标系的缩放无关；command.speed 由 circle() 的小步指定
+        const speed    = this._isAnimated(turtle) ? 1 / ((command.speed || turtle._speed) * 15) : 0;
+        const rad      = turtle._heading * Math.PI / 180;
         const startX = turtle.x, startY = turtle.y;
         const targetX = startX + Math.cos(rad) * distance;
-        const targetY = startY - Math.sin(rad) * distance;
-
-        if (duration === 0) {
-            turtle.x = targetX;
-            turtle.y = targetY;
-            turtle._getLastPathSegment().points.push({x: turtle.x, y: turtle.y});
-            if (turtle.penState.isFilling) turtle.fillPath.push({x: turtle.x, y: turtle.y});
-            this._redraw();
-            onComplete();
-            return;
-        }
+        const targetY = startY + Math.sin(rad) * distance;
 
-        const startTime   = performance.now();
-        const lastSegment = turtle._getLastPathSegment();
-
-        const animateMove = (currentTime) => {
-            const progress = Math.min((currentTime - startTime) / duration, 1);
-            turtle.x = startX + (targetX - startX) * progress;
-            turtle.y = startY + (targetY - startY) * progress;
-            
-            lastSegment.points.push({x: turtle.x, y: turtle.y});
-            if (turtle.penState.isFilling) turtle.fillPath.push({x: turtle.x, y: turtle.y});
-            this._redraw();
-
-            if (progress < 1) {
-                requestAnimationFrame(animateMove);
-            } else {
-                onComplete();
-            }
-        };
-        requestAnimationFrame(animateMove);
+        // circle() 的小步不受边界策略影响，否则画出的圆和记录的填充圆弧对不上
+        const policy = command.speed ? 'none' : turtle._edgePolicy;
+        this._travelWithin(turtle, targetX, targetY, speed, policy, true, onComplete);
     }
     
     _executeRotate(command, onComplete) {
@@ -477,77 +3799,134 @@ class Screen {
             return;
         }
 
-        const speed         = turtle._speed === 0 ? 0 : 1 / (turtle._speed * 50);
+        const speed         = this._isAnimated(turtle) ? 1 / ((command.speed || turtle._speed) * 50) : 0;
         const duration      = Math.abs(angle) * speed * 1000;
-        const startHeading  = turtle.heading;
+        const startHeading  = turtle._heading;
         const targetHeading = startHeading + angle;
 
         if (duration === 0) {
-            turtle.heading = (360 + targetHeading % 360) % 360;
-            this._redraw();
+            turtle._heading = (360 + targetHeading % 360) % 360;
+            this._requestRedraw();
             onComplete();
             return;
         }
 
-        const startTime = performance.now();
-        const animateRotate = (currentTime) => {
-            const progress = Math.min((currentTime - startTime) / duration, 1);
-            turtle.heading = startHeading + angle * progress;
-            this._redraw();
-
-            if (progress < 1) {
-                requestAnimationFrame(animateRotate);
-            } else {
-                turtle.heading = (360 + targetHeading % 360) % 360;
-                onComplete();
-            }
-        };
-        requestAnimationFrame(animateRotate);
+        this._animate(duration, progress => {
+            turtle._heading = startHeading + angle * progress;
+        }, () => {
+            turtle._heading = (360 + targetHeading % 360) % 360;
+            onComplete();
+        });
     }
     
     _executeGoto(command, onComplete) {
         const turtle   = command.turtle;
-        const [targetX, targetY] = command.args;
+        // setx()/sety() 只给出一个坐标，另一个沿用执行时的位置
+        const targetX  = command.args[0] === null ? turtle.x : command.args[0];
+        const targetY  = command.args[1] === null ? turtle.y : command.args[1];
         const startX = turtle.x, startY = turtle.y;
-        const distance = Math.sqrt(Math.pow(targetX - startX, 2) + Math.pow(targetY - startY, 2));
+        // 按屏幕上的像素距离判断和计时，与坐标系的缩放无关
+        const from     = this._toCanvas(startX, startY);
+        const to       = this._toCanvas(targetX, targetY);
+        const distance = Math.sqrt(Math.pow(to.x - from.x, 2) + Math.pow(to.y - from.y, 2));
 
         if (distance < 0.01) {
             onComplete();
             return;
         }
 
-        const speed    = turtle._speed === 0 ? 0 : 1 / (turtle._speed * 15);
-        const duration = distance * speed * 1000;
+        const speed    = this._isAnimated(turtle) ? 1 / (turtle._speed * 15) : 0;
+        this._travelWithin(turtle, targetX, targetY, speed, turtle._edgePolicy, false, onComplete);
+    }
 
-        if (duration === 0) {
-            turtle.x = targetX;
-            turtle.y = targetY;
-            turtle._getLastPathSegment().points.push({x: turtle.x, y: turtle.y});
-            if (turtle.penState.isFilling) turtle.fillPath.push({x: turtle.x, y: turtle.y});
-            this._redraw();
-            onComplete();
-            return;
-        }
+    /**
+     * @private
+     * 边界策略 (参见 Turtle#edgepolicy) 使用的边界：绘图区 (screensize，默认与窗口相同) 在海龟坐标中的范围
+     */
+    _edgeBox() {
+        const area = this._drawingArea();
+        const ll   = this._fromCanvas((this._width - area.width) / 2, (this._height + area.height) / 2);
+        const ur   = this._fromCanvas((this._width + area.width) / 2, (this._height - area.height) / 2);
+        return {llx: ll.x, lly: ll.y, urx: ur.x, ury: ur.y};
+    }
 
-        const startTime   = performance.now();
-        const lastSegment = turtle._getLastPathSegment();
+    /**
+     * @private
+     * 按边界策略把一次直线移动拆成若干段，依次用 _travel 移动，'wrap' 时在两段之间瞬移到对边。
+     * speed 为每像素的秒数 (0 表示不要动画)；turn 为 true 时 'bounce' 也让海龟的朝向随之反弹 (forward/backward)，
+     * goto() 只折返路线，不改变朝向。
+     */
+    _travelWithin(turtle, targetX, targetY, speed, policy, turn, onComplete) {
+        const legs = _edgeLegs(turtle.x, turtle.y, targetX, targetY, this._edgeBox(), policy);
+        const bounce = leg => {
+            if (!turn) return;
+            if (leg.flipX) turtle._heading = 180 - turtle._heading;
+            if (leg.flipY) turtle._heading = -turtle._heading;
+            turtle._heading = (360 + turtle._heading % 360) % 360;
+        };
 
-        const animateGoto = (currentTime) => {
-            const progress = Math.min((currentTime - startTime) / duration, 1);
-            turtle.x = startX + (targetX - startX) * progress;
-            turtle.y = startY + (targetY - startY) * progress;
+        let index = 0;
+        const next = () => {
+            // 不需要动画的各段在这里连续执行，避免很长的移动在回调中层层递归
+            while (index < legs.length) {
+                const leg = legs[index++];
+                if (leg.jump) {
+                    turtle.x = leg.x;
+                    turtle.y = leg.y;
+                    if (turtle.penState.isFilling) turtle.fillPath.push({x: leg.x, y: leg.y, move: true});
+                    turtle._startNewPathSegment();
+                    continue;
+                }
+                const from     = this._toCanvas(turtle.x, turtle.y);
+                const to       = this._toCanvas(leg.x, leg.y);
+                const duration = Math.hypot(to.x - from.x, to.y - from.y) * speed * 1000;
+                if (duration > 0) {
+                    this._travel(turtle, leg.x, leg.y, duration, () => {
+                        bounce(leg);
+                        next();
+                    });
+                    return;
+                }
+                if (leg.x !== turtle.x || leg.y !== turtle.y) this._travel(turtle, leg.x, leg.y, 0, () => {});
+                bounce(leg);
+            }
+            this._requestRedraw();
+            onComplete();
+        };
+        next();
+    }
 
-            lastSegment.points.push({x: turtle.x, y: turtle.y});
-            if (turtle.penState.isFilling) turtle.fillPath.push({x: turtle.x, y: turtle.y});
-            this._redraw();
+    /**
+     * @private
+     * 让海龟沿直线移动到目标点。
+     * 一次移动的所有中间位置都在同一条直线上，因此路径段 (和填充路径) 只追加一个端点，
+     * 动画过程中原地更新它，而不是每一帧追加一个新点。
+     */
+    _travel(turtle, targetX, targetY, duration, onComplete) {
+        const startX = turtle.x, startY = turtle.y;
+        const point  = {x: startX, y: startY};
+        turtle._drawingSegment().points.push(point);
+        if (turtle._creatingPoly) turtle._poly.push([targetX, targetY]);
+        // 填充路径只记录这次移动的终点，与动画的帧数无关；画圆弧时由 _executeCircle 记录整段圆弧
+        if (turtle.penState.isFilling && !turtle._fillArc) turtle.fillPath.push({x: targetX, y: targetY});
 
-            if (progress < 1) {
-                requestAnimationFrame(animateGoto);
-            } else {
-                onComplete();
-            }
+        const place = progress => {
+            turtle.x = point.x = startX + (targetX - startX) * progress;
+            turtle.y = point.y = startY + (targetY - startY) * progress;
         };
-        requestAnimationFrame(animateGoto);
+
+        if (duration === 0) {
+            place(1);
+            this._requestRedraw();
+            onComplete();
+            return;
+        }
+
+        turtle._liveMove = true; // 路径段的最后一个点仍在变化，渲染缓存暂不提交它
+        this._animate(duration, place, () => {
+            turtle._liveMove = false;
+            onComplete();
+        });
     }
 }
 
@@ -558,17 +3937,37 @@ class Screen {
 class Turtle {
     /**
      * Turtle 构造函数
-     * @param {Screen|CanvasRenderingContext2D} screenOrCtx - 一个 Screen 实例，或者一个 canvas 的 2D 渲染上下文。
+     * @param {Screen|CanvasRenderingContext2D|HTMLCanvasElement|OffscreenCanvas|string} screenOrCtx - 一个 Screen 实例，或者任何 Screen 构造函数接受的绘图目标。
+     *   同一块画布上的海龟共用一个 Screen。
+     * @param {object} [options] - 隐式创建 Screen 时传给它的选项 (例如 `scheduler`)，复用已有的 Screen 时被忽略
      */
-    constructor(screenOrCtx) {
-        // 如果传入的不是 Screen 实例（例如是一个 ctx），则为其隐式创建一个 Screen。
-        // 这使得 `new Turtle(ctx)` 这种便捷用法成为可能。
-        const screen = (screenOrCtx instanceof Screen) ? screenOrCtx : new Screen(screenOrCtx);
+    constructor(screenOrCtx, options) {
+        // 如果传入的不是 Screen 实例（例如是一个 ctx），则复用已经绑定到同一画布的 Screen，
+        // 没有时为其隐式创建一个。这使得 `new Turtle(ctx)` 这种便捷用法成为可能。
+        const screen = (screenOrCtx instanceof Screen) ? screenOrCtx
+            : _existingScreen(screenOrCtx) || new Screen(screenOrCtx, undefined, undefined, options);
         
         this.screen = screen;
+        this.id     = screen._nextTurtleId++; // 在程序和状态文档中标识这只海龟
         
         // 将当前海龟实例注册到它的 Screen 上
         this.screen.turtles.push(this);
+        if (screen._capture) screen._capture.commands.push({turtle: this.id, name: 'new', args: []});
+
+        this.commandQueue = []; // 并发模式下此海龟自己的命令队列
+        this.isBusy       = false;
+        this._current     = null; // 并发模式下此海龟正在执行的命令
+        this._resumeAt    = 0;  // delay() 生效时，下一个命令最早的开始时间
+        this._removed     = false; // 参见 Screen#removeTurtle
+        this._collecting  = null;  // 插件命令执行期间收集子步骤的数组，参见 Screen#_executePlugin
+        this._layer       = 0;     // 参见 layer()
+        this._edgePolicy  = 'none'; // 参见 edgepolicy()
+        this._fillSeq     = 0;     // begin_fill() 为填充区域预留的绘制序号
+
+        this._undoBufferSize = 1000; // 撤销缓冲区的最大条目数，与 Python 默认值一致
+        this._fullcircle     = 360;  // 一整圈对应的角度单位数，参见 degrees()/radians()
+        this._mouseHandlers  = {click: {}, release: {}, drag: {}}; // 按鼠标键分组的回调
+        this._speed          = 6;    // 初始速度 (normal)。speed() 立即生效，所以不由 _internal_reset() 重置，参见 _resetSpeed()
         
         // 初始化海龟状态
         this._internal_reset();
@@ -579,19 +3978,32 @@ class Turtle {
      * 重置海龟的内部状态到初始值
      */
     _internal_reset() {
-        this.x        = this.screen.canvas.width / 2;  // 初始 x 坐标 (画布中心)
-        this.y        = this.screen.canvas.height / 2; // 初始 y 坐标 (画布中心)
-        this.heading  = 0;                              // 初始朝向 (向右)
-        this._speed   = 6;                              // 初始速度 (normal)
+        this.x        = 0;                              // 初始 x 坐标 (海龟坐标原点)
+        this.y        = 0;                              // 初始 y 坐标 (海龟坐标原点)
+        this._heading = this.screen._mode === 'logo' ? 90 : 0; // 初始朝向 (standard 向东，logo 向北)
         this.penState = {                               // 初始画笔状态
             isDown: true,
             color: '#000000',
             fillColor: '#000000',
             width: 1,
             isFilling: false,
+            fillRule: 'evenodd',    // 与 Python (Tk) 一致，自相交的多边形 (例如五角星) 中间不填充
+            dash: [],               // 虚线模式 [实, 虚, ...] (像素)，空数组为实线
+            lineCap: 'round',       // 与 Python (Tk) 一致，粗线在转角处不会出现缺口
+            lineJoin: 'round',
+            opacity: 1,
+            blend: 'source-over',   // 即 canvas 的 globalCompositeOperation
         };
         this.isVisible = true;                          // 初始可见
         this.shapeName = 'classic';                     // 初始形状
+        this._shapeState = {                            // 形状变换，参见 shapesize()/shearfactor()/tilt()
+            stretch: [1, 1],    // [stretch_wid, stretch_len]
+            shear: 0,
+            tilt: 0,            // 弧度，与 Python 内部的符号约定相同 (standard 模式下为 -tiltangle)
+            outline: null,      // 轮廓宽度，null 表示与画笔粗细相同
+        };
+        this._poly     = null;                          // begin_poly() 记录的顶点，参见 get_poly()
+        this._creatingPoly = false;
         this._clearDrawings();
     }
 
@@ -600,13 +4012,152 @@ class Turtle {
      * 清除此海龟的所有绘图数据（路径、填充、文字、点）
      */
     _clearDrawings() {
+        if (this.path) this.screen._invalidateLayers(); // 已经画进渲染缓存的绘图随之丢弃
         this.path     = []; // 路径段数组
         this.fills    = []; // 填充物数组
         this.writings = []; // 书写文字数组
         this.dots     = []; // 点数组
+        this.stamps   = []; // 印记数组，clearstamp() 会整体替换它
         this.fillPath = []; // 当前正在记录的填充路径
+        this._undoBuffer = []; // 撤销缓冲区，清除绘图后之前的记录不再有意义
+        this._liveMove = false; // 是否正在移动 (路径段的最后一个点仍在变化)
+        this._fillArc  = false; // 是否正在画记录为整段圆弧的 circle()
         this._startNewPathSegment();
     }
+
+    /**
+     * @private
+     * 在执行一个命令之前记录足以回滚它的信息。
+     * 绘图数组只会被追加，因此记录长度即可；fillPath 和 _poly 会被 begin_fill/begin_poly 等整体替换，所以同时保留引用。
+     */
+    _pushUndoEntry() {
+        if (!this._undoBufferSize) return;
+        const lastSegment = this._getLastPathSegment();
+        this._undoBuffer.push({
+            x: this.x,
+            y: this.y,
+            heading: this._heading,
+            penState: {...this.penState},
+            isVisible: this.isVisible,
+            shapeState: {...this._shapeState},
+            shapeName: this.shapeName,
+            pathLength: this.path.length,
+            pointCount: lastSegment.points.length,
+            fillsLength: this.fills.length,
+            writingsLength: this.writings.length,
+            dotsLength: this.dots.length,
+            stamps: this.stamps,
+            stampsLength: this.stamps.length,
+            fillPath: this.fillPath,
+            fillPathLength: this.fillPath.length,
+            fillSeq: this._fillSeq,
+            poly: this._poly,
+            polyLength: this._poly ? this._poly.length : 0,
+            creatingPoly: this._creatingPoly,
+        });
+        if (this._undoBuffer.length > this._undoBufferSize) this._undoBuffer.shift();
+    }
+
+    /**
+     * @private
+     * 回滚最近一次被记录的命令。缓冲区为空时什么也不做。
+     */
+    _popUndoEntry() {
+        const entry = this._undoBuffer.pop();
+        if (!entry) return;
+
+        this.x         = entry.x;
+        this.y         = entry.y;
+        this._heading  = entry.heading;
+        this.penState  = entry.penState;
+        this.isVisible = entry.isVisible;
+        this._shapeState = entry.shapeState;
+        this.shapeName = entry.shapeName;
+
+        this.path.length = entry.pathLength;
+        this.path[this.path.length - 1].points.length = entry.pointCount;
+        this.fills.length    = entry.fillsLength;
+        this.writings.length = entry.writingsLength;
+        this.dots.length     = entry.dotsLength;
+        this.stamps          = entry.stamps;
+        this.stamps.length   = entry.stampsLength;
+        this.fillPath        = entry.fillPath;
+        this.fillPath.length = entry.fillPathLength;
+        this._fillSeq        = entry.fillSeq;
+        this._poly           = entry.poly;
+        if (this._poly) this._poly.length = entry.polyLength;
+        this._creatingPoly   = entry.creatingPoly;
+    }
+
+    /**
+     * @private
+     * 把海龟的状态和绘图模型序列化为普通对象，参见 Screen#saveState。撤销缓冲区和事件回调不包括在内。
+     */
+    _saveState() {
+        return _jsonCopy({
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            heading: this._heading,
+            speed: this._speed,
+            fullcircle: this._fullcircle,
+            penState: this.penState,
+            isVisible: this.isVisible,
+            shapeName: this.shapeName,
+            shapeState: this._shapeState,
+            path: this.path,
+            fills: this.fills,
+            writings: this.writings,
+            dots: this.dots,
+            stamps: this.stamps.map(({image, ...stamp}) => stamp),
+            fillPath: this.fillPath,
+            poly: this._poly,
+            creatingPoly: this._creatingPoly,
+            layer: this._layer,
+            fillSeq: this._fillSeq,
+            edgePolicy: this._edgePolicy,
+        });
+    }
+
+    /**
+     * @private
+     * 从 _saveState 的结果恢复海龟，之前的绘图和撤销缓冲区被丢弃
+     */
+    _restoreState(state) {
+        state = _jsonCopy(state);
+        this._clearDrawings();
+        this.x            = state.x;
+        this.y            = state.y;
+        this._heading     = state.heading;
+        this._speed       = state.speed;
+        this._fullcircle  = state.fullcircle;
+        this.penState     = state.penState;
+        this.isVisible    = state.isVisible;
+        this.shapeName    = state.shapeName;
+        this._shapeState  = state.shapeState;
+        this.path         = state.path;
+        this.fills        = state.fills;
+        this.writings     = state.writings;
+        this.dots         = state.dots;
+        this.fillPath     = state.fillPath;
+        this._poly        = state.poly;
+        this._creatingPoly = state.creatingPoly;
+        this._layer       = state.layer || 0;
+        this._fillSeq     = state.fillSeq || 0;
+        this._edgePolicy  = state.edgePolicy || 'none';
+        // 图像印记按 URL 重新取得图像：优先使用已注册的同一形状，避免重复加载
+        const shapes = Object.values(this.screen._shapes);
+        this.stamps = state.stamps.map(stamp => {
+            if (stamp.url === null) return {...stamp, image: null};
+            const shape = shapes.find(s => s._url === stamp.url);
+            return {...stamp, image: shape ? shape._data : Shape._loadImage(stamp.url)};
+        });
+        if (!this.path.length) this._startNewPathSegment();
+        // 早期的状态文档没有绘制序号，按原来的绘制顺序 (填充、路径、文字、点、印记) 补上
+        _RECORD_KINDS.forEach(([, field]) => this[field].forEach(item => {
+            if (item.seq === undefined) item.seq = this.screen._nextSeq++;
+        }));
+    }
     
     /**
      * @private
@@ -615,11 +4166,28 @@ class Turtle {
     _startNewPathSegment() {
         const newSegment = {
             pen: {...this.penState}, // 复制当前的画笔状态
-            points: [{x: this.x, y: this.y}] // 新路径的起点是当前位置
+            points: [{x: this.x, y: this.y}], // 新路径的起点是当前位置
+            seq: this.screen._nextSeq++,      // 绘制顺序，参见 Screen#_paintOrder
         };
         this.path.push(newSegment);
     }
 
+    /**
+     * @private
+     * 返回可以追加新点的路径段。当前路径段之后如果已经有别的绘图记录 (包括其他海龟的)，
+     * 新的线条应该画在它们上面，所以从当前位置开始一个新的路径段。
+     */
+    _drawingSegment() {
+        const segment = this._getLastPathSegment();
+        if (!segment.pen.isDown || segment.seq === this.screen._nextSeq - 1) return segment;
+        if (segment.points.length < 2) {
+            segment.seq = this.screen._nextSeq++; // 还没有画出任何东西，直接移到最上面
+            return segment;
+        }
+        this._startNewPathSegment();
+        return this._getLastPathSegment();
+    }
+
     /**
      * @private
      * 获取当前正在绘制的路径段
@@ -632,47 +4200,140 @@ class Turtle {
     /**
      * @private
      * 根据 this.shapeName 在画布上绘制海龟自己
+     * @param {CanvasRenderingContext2D} [ctx=this.screen.ctx] - 目标上下文
      */
-    _draw() {
-        const ctx             = this.screen.ctx;
-        const shapeDefinition = this.screen._shapes[this.shapeName];
-        if (!shapeDefinition) return;
+    _draw(ctx = this.screen.ctx) {
+        const sprite = this._sprite();
+        if (sprite) this.screen._paintSprite(ctx, sprite);
+    }
 
-        ctx.save(); // 保存当前画布状态
-        ctx.translate(this.x, this.y); // 将坐标原点移动到海龟位置
-        ctx.rotate(-this.heading * Math.PI / 180); // 根据海龟朝向旋转画布
+    /**
+     * @private
+     * 把海龟当前的外观 (位置、朝向、形状、颜色和变换) 固定为一个可以独立绘制的对象。
+     * 海龟图标和 stamp() 留下的印记都用它绘制。
+     * @returns {object|null} 当前形状不存在时返回 null
+     */
+    _sprite() {
+        const shape = this.screen._shapes[this.shapeName];
+        if (!shape) return null;
+        const isImage = shape._type === 'image';
+        return {
+            x: this.x,
+            y: this.y,
+            heading: this._heading,
+            image: isImage ? shape._data : null,
+            url: isImage ? shape._url : null,
+            imageMatrix: this._imageMatrix(),
+            components: this._shapeComponents(),
+            outline: this._outlineWidth(),
+        };
+    }
 
-        ctx.beginPath();
-        if (shapeDefinition === 'circle') {
-            ctx.arc(0, 0, 7, 0, 2 * Math.PI);
-        } else {
-            const firstPoint = shapeDefinition[0];
-            ctx.moveTo(firstPoint[0], firstPoint[1]);
-            for (let i = 1; i < shapeDefinition.length; i++) {
-                ctx.lineTo(shapeDefinition[i][0], shapeDefinition[i][1]);
-            }
-            ctx.closePath();
-        }
+    /**
+     * @private
+     * 返回当前形状经过 shapetransform() 变换后的各个多边形及其颜色。
+     * 顶点位于 _draw 中平移并旋转之后的坐标系：x 轴指向海龟前方，y 轴指向海龟右侧 (画布向下)，单位为像素。
+     * 图像形状没有多边形，返回空数组。
+     * @returns {Array<{points: Array<Array<number>>, fill: string, outline: string}>}
+     */
+    _shapeComponents() {
+        const shape = this.screen._shapes[this.shapeName];
+        if (!shape || shape._type === 'image') return [];
 
-        ctx.fillStyle   = this.penState.fillColor;
-        ctx.strokeStyle = this.penState.color;
-        ctx.lineWidth   = this.penState.width;
-        ctx.fill();
-        ctx.stroke();
-        ctx.restore(); // 恢复画布状态
+        // 先按 shapetransform() 变换，再交换两个分量 (Shape 的坐标 y 轴朝前、x 轴朝右)
+        const [t11, t12, t21, t22] = this._shapeMatrix();
+        const toLocal = poly => poly.map(([x, y]) => [t21 * x + t22 * y, t11 * x + t12 * y]);
+        if (shape._type === 'compound') {
+            return shape._data.map(c => ({points: toLocal(c.poly), fill: c.fill, outline: c.outline}));
+        }
+        return [{points: toLocal(shape._data), fill: this.penState.fillColor, outline: this.penState.color}];
     }
-    
+
     /**
      * @private
      * 将一个命令推入屏幕的命令队列等待执行
+     * @returns {Turtle} 海龟本身，以便链式调用；要等待命令执行完毕请用 done()
      */
     _queueCommand(name, args) {
-        this.screen.commandQueue.push({turtle: this, name: name, args: args});
-        return this; // 返回 this 以支持链式调用
+        if (this._removed) {
+            throw new TurtleGraphicsError('This turtle has been removed from its screen.');
+        }
+        if (this._collecting) {
+            // 插件命令中调用的命令不入队，作为它的子步骤执行
+            this._collecting.push({turtle: this, name: name, args: args});
+            return this;
+        }
+        this._lastCommand = this.screen._enqueue({turtle: this, name: name, args: args});
+        return this;
     }
 
     // --- 公共 API 方法 ---
-    
+
+    /**
+     * 返回一个 Promise，在此海龟此刻之前入队的所有命令都执行完毕后兑现。
+     * 兑现值是海龟本身，此时 position()、pencolor() 等查询返回的就是“队列末尾”的状态。
+     * @returns {Promise<Turtle>}
+     * @example
+     * t.forward(100).left(90);
+     * const {x, y} = (await t.done()).position();
+     */
+    done() {
+        return (this._lastCommand || Promise.resolve()).then(() => this);
+    }
+
+    /**
+     * 只将此海龟的绘图导出为一个独立的 SVG 文档，选项与 `screen.toSVG()` 相同
+     * @param {object} [options]
+     * @returns {string} SVG 文档字符串
+     */
+    toSVG(options) {
+        return this.screen._buildSVG([this], options);
+    }
+
+    /**
+     * 绑定在此海龟上按下鼠标的事件 (按海龟形状做命中检测)
+     * @param {function(number, number)|null} fn - 回调，收到点击处的海龟坐标 (x, y)；传入 null 解除绑定
+     * @param {number} [btn=1] - 鼠标键：1 左键，2 中键，3 右键
+     * @param {boolean} [add=false] - 为 true 时追加回调，否则替换已有回调
+     */
+    onclick(fn, btn = 1, add = false) {
+        return this._bindMouse('click', fn, btn, add);
+    }
+
+    /**
+     * 绑定在此海龟上按下后松开鼠标的事件，参数同 onclick()
+     */
+    onrelease(fn, btn = 1, add = false) {
+        return this._bindMouse('release', fn, btn, add);
+    }
+
+    /**
+     * 绑定在此海龟上按住鼠标拖动的事件，参数同 onclick()
+     * @example
+     * t.ondrag((x, y) => t.goto(x, y));
+     */
+    ondrag(fn, btn = 1, add = false) {
+        return this._bindMouse('drag', fn, btn, add);
+    }
+
+    /**
+     * @private
+     */
+    _bindMouse(kind, fn, btn, add) {
+        this._mouseHandlers[kind][btn] = _bindHandler(this._mouseHandlers[kind][btn] || [], fn, add);
+        this.screen._bindPointerEvents();
+        return this;
+    }
+
+    /**
+     * @private
+     * 判断画布坐标 (px, py) 是否落在海龟当前的形状轮廓内
+     */
+    _hitTest(px, py) {
+        const sprite = this._sprite();
+        return !!sprite && this.screen._spriteContains(sprite, px, py);
+    }
+
     /**
      * (新增) 将此海龟实例的所有方法暴露到目标对象上
      * @param {object} [target=window] - 要暴露到的目标对象，默认为浏览器的 window 对象
@@ -690,11 +4351,25 @@ class Turtle {
             'pensize', 'width', 'pencolor', 'hideturtle', 'ht',
             'showturtle', 'st', 'clear', 'reset', 'pos', 'position',
             'speed', 'circle', 'dot', 'fillcolor', 'color', 'begin_fill', 'end_fill',
-            'shape', 'write',
-            'home', 'setheading', 'seth'
+            'shape', 'write', 'textsize',
+            'home', 'setheading', 'seth', 'done',
+            'undo', 'setundobuffer', 'undobufferentries',
+            'onclick', 'onrelease', 'ondrag', 'degrees', 'radians',
+            'heading', 'xcor', 'ycor', 'towards', 'distance',
+            'isdown', 'isvisible', 'filling', 'pen', 'setx', 'sety', 'teleport',
+            'begin_poly', 'end_poly', 'get_poly',
+            'shapesize', 'turtlesize', 'shearfactor', 'tilt', 'tiltangle', 'settiltangle', 'shapetransform',
+            'stamp', 'clearstamp', 'clearstamps', 'fillrule',
+            'pendash', 'linecap', 'linejoin', 'opacity', 'blendmode', 'clone', 'layer',
+            'edgepolicy', 'collides', 'bbox',
+            ..._pluginMethods
         ];
         
-        const screenMethods = ['bgcolor'];
+        const screenMethods = [
+            'bgcolor', 'mode', 'setworldcoordinates', 'tracer', 'delay', 'update', 'onscreenclick', 'onkey', 'onkeypress', 'onkeyrelease', 'listen', 'ontimer',
+            'register_shape', 'addshape', 'getshapes', 'colormode', 'setup', 'screensize', 'window_width', 'window_height',
+            'getturtles', 'bye', 'turtlesAt'
+        ];
 
         turtleMethods.forEach(methodName => {
             if (typeof this[methodName] === 'function') {
@@ -715,44 +4390,162 @@ class Turtle {
         return this;
     }
 
+    /**
+     * 创建并返回此海龟的一个副本：位置、朝向、画笔和形状都相同，但不复制已有的绘图。
+     * 复制在队列中进行，副本在此之前隐藏；并发模式下副本会等原海龟执行完调用 clone() 之前入队的命令再复制，
+     * 所以得到的状态与串行模式相同。
+     * @returns {Turtle} 新的海龟
+     * @example
+     * const t2 = t.clone();
+     * t2.right(90).forward(100);
+     */
+    clone() {
+        const clone = new Turtle(this.screen);
+        clone.isVisible = false;
+        const capture = this.screen._capture;
+        if (capture) capture.commands[capture.commands.length - 1].args = [{visible: false}];
+        clone.speed(this._speed);
+        clone._fullcircle     = this._fullcircle;
+        clone._undoBufferSize = this._undoBufferSize;
+        clone._queueClone(this.id);
+        return clone;
+    }
+
+    /**
+     * @private
+     * 让此海龟 (副本) 在队列中复制编号为 sourceId 的海龟的状态。
+     * 并发模式下两只海龟的队列各自推进，所以两个队列各放一个同步点 (与 barrier() 相同)，
+     * 只有原海龟也执行到这里时才复制。
+     */
+    _queueClone(sourceId) {
+        const screen = this.screen;
+        const source = screen.turtles.find(t => t.id === sourceId);
+        if (!screen._concurrent || !source || this._collecting) return this._queueCommand('clone', [sourceId]);
+        const gate = {size: 2, waiting: []};
+        // 先放副本的命令：程序记录的是它，原海龟队列中的同步点不记录，参见 _captureCommand()
+        this._lastCommand = screen._enqueue({turtle: this, name: 'clone', args: [sourceId], gate: gate});
+        screen._enqueue({turtle: source, name: 'barrier', args: [], gate: gate});
+        return this;
+    }
+
+    /**
+     * @private
+     * 复制另一只海龟的位置、朝向、画笔、形状、图层和边界策略 (不包括绘图和正在进行的填充)
+     */
+    _copyStateFrom(source) {
+        this.x           = source.x;
+        this.y           = source.y;
+        this._heading    = source._heading;
+        this.penState    = {...source.penState, dash: [...source.penState.dash], isFilling: false};
+        this.isVisible   = source.isVisible;
+        this.shapeName   = source.shapeName;
+        this._shapeState = {...source._shapeState, stretch: [...source._shapeState.stretch]};
+        this._layer      = source._layer;
+        this._edgePolicy = source._edgePolicy;
+        this._startNewPathSegment();
+    }
+
     /**
      * 清除此海龟的绘图，并将海龟重置到初始状态。
      */
     reset() {
+        this._resetSpeed();
         return this._queueCommand('reset', []);
     }
-    
+
+    /**
+     * @private
+     * 把速度恢复为初始值。速度在调用 speed() 时立即生效，重置它也必须在调用重置的命令时立即进行；
+     * 如果放在队列里执行，会覆盖之后紧接着调用的 speed()。
+     */
+    _resetSpeed() {
+        this._speed = 6;
+    }
+    
+    /**
+     * 将海龟移动到原点 (0,0) 并设置其朝向为0度。
+     */
+    home() {
+        this.goto(0, 0); // goto 会自动处理坐标转换
+        return this.setheading(0);
+    }
+
+    /**
+     * 立即设置海龟的朝向
+     * @param {number} angle - 角度 (单位见 degrees()/radians())。
+     *   standard/world 模式: 0为东, 90为北, 180为西, 270为南 (逆时针)；logo 模式: 0为北, 90为东 (顺时针)。
+     */
+    setheading(angle) {
+        return this._queueCommand('setheading', [this._toHeading(angle)]);
+    }
+    seth(a) { return this.setheading(a); }
+
+    /**
+     * 设置或返回海龟的移动速度
+     * @param {string|number} s - 速度值。可以是 'fastest'(0), 'fast'(10), 'normal'(6), 'slow'(3), 'slowest'(1)，或者 0.5-10 的数字。0为无动画。
+     */
+    speed(s) {
+        if (s === undefined) return this._speed;
+        if (this.screen._capture) this.screen._capture.commands.push({turtle: this.id, name: 'speed', args: [s]});
+        const speedMap = {'fastest': 0, 'fast': 10, 'normal': 6, 'slow': 3, 'slowest': 1};
+        if (typeof s === 'string' && speedMap[s] !== undefined) {
+            this._speed = speedMap[s];
+        } else if (typeof s === 'number') {
+            this._speed = (s > 10 || s < 0.5) ? 0 : s;
+        }
+        return this;
+    }
+
+    /**
+     * 设置角度的单位：一整圈等于 fullcircle 个单位。之后 left/right/setheading/circle 等的角度参数都按此解释。
+     * @param {number} [fullcircle=360]
+     */
+    degrees(fullcircle = 360) {
+        this._fullcircle = fullcircle;
+        return this;
+    }
+
+    /**
+     * 使用弧度作为角度单位，相当于 degrees(2 * Math.PI)
+     */
+    radians() {
+        return this.degrees(2 * Math.PI);
+    }
+
+    /**
+     * @private
+     * 把用户单位的角度 (相对转动量) 换算为度
+     */
+    _toDegrees(angle) {
+        return angle * 360 / this._fullcircle;
+    }
+
     /**
-     * 将海龟移动到原点 (0,0) 并设置其朝向为0度。
+     * @private
+     * 把当前模式和角度单位下的朝向换算为内部朝向 (度，逆时针，0 为东)
      */
-    home() {
-        this.goto(0, 0); // goto 会自动处理坐标转换
-        this.setheading(0);
-        return this;
+    _toHeading(angle) {
+        const degrees = this._toDegrees(angle);
+        return this.screen._mode === 'logo' ? 90 - degrees : degrees;
     }
 
     /**
-     * 立即设置海龟的朝向
-     * @param {number} angle - 角度 (0-360)。0为东, 90为北, 180为西, 270为南。
+     * @private
+     * _toHeading 的逆运算：把内部朝向换算为当前模式和角度单位下的值，范围 [0, fullcircle)
      */
-    setheading(angle) {
-        return this._queueCommand('setheading', [angle]);
+    _fromHeading(heading) {
+        const degrees = this.screen._mode === 'logo' ? 90 - heading : heading;
+        // 与 Python 一致，先舍入以消除三角函数带来的微小误差
+        const value   = Math.round(degrees * 1e10) / 1e10 * this._fullcircle / 360;
+        return (value % this._fullcircle + this._fullcircle) % this._fullcircle;
     }
-    seth(a) { return this.setheading(a); }
 
     /**
-     * 设置或返回海龟的移动速度
-     * @param {string|number} s - 速度值。可以是 'fastest'(0), 'fast'(10), 'normal'(6), 'slow'(3), 'slowest'(1)，或者 0.5-10 的数字。0为无动画。
+     * 返回海龟当前的朝向 (单位和方向取决于 mode() 与 degrees()/radians())
+     * @returns {number}
      */
-    speed(s) {
-        if (s === undefined) return this._speed;
-        const speedMap = {'fastest': 0, 'fast': 10, 'normal': 6, 'slow': 3, 'slowest': 1};
-        if (typeof s === 'string' && speedMap[s] !== undefined) {
-            this._speed = speedMap[s];
-        } else if (typeof s === 'number') {
-            this._speed = (s > 10 || s < 0.5) ? 0 : s;
-        }
-        return this;
+    heading() {
+        return this._fromHeading(this._heading);
     }
 
     /**
@@ -772,31 +4565,274 @@ class Turtle {
 
     /**
      * 在海龟当前位置书写文字
-     * @param {string} arg - 要书写的对象
+     * @param {string} arg - 要书写的对象，其中的 '\n' 会换行
      * @param {object} [options] - 选项
-     * @param {boolean} [options.move=false] - 如果为true, 海龟会向前移动文字的宽度
+     * @param {boolean} [options.move=false] - 如果为true, 海龟会向前移动文字的宽度 (多行时为最宽一行的宽度)
      * @param {string} [options.align='left'] - 'left', 'center', 'right'
      * @param {Array} [options.font=['Arial', 8, 'normal']] - [名称, 大小, 类型]
+     * @param {number} [options.lineSpacing=1.2] - 行距，为字号的倍数
+     * @param {boolean} [options.rotate=false] - 是否沿海龟的朝向书写 (否则总是水平)
+     * @param {*} [options.outline] - 文字轮廓的颜色，默认没有轮廓
+     * @param {number} [options.outlineWidth=1] - 文字轮廓的宽度 (像素)
+     * @param {*} [options.background] - 文字背后方框的颜色，默认没有方框
+     * @param {number} [options.padding=2] - 方框超出文字的留白 (像素)
+     * @example
+     * t.write('y = x²\n(抛物线)', {align: 'center', font: ['Arial', 12, 'bold'], background: 'lightyellow'});
+     * t.write('斜边', {rotate: true, outline: 'white', outlineWidth: 3});
+     */
+    write(arg, {move = false, align = 'left', font = ['Arial', 8, 'normal'], lineSpacing = 1.2, rotate = false,
+        outline = null, outlineWidth = 1, background = null, padding = 2} = {}) {
+        Turtle._checkTextOptions(lineSpacing, padding);
+        if (!(typeof outlineWidth === 'number' && outlineWidth > 0)) {
+            throw new TurtleGraphicsError(`bad outline width: ${outlineWidth}`);
+        }
+        const colormode = this.screen._colormode;
+        const style = {
+            lineSpacing, rotate: !!rotate, outlineWidth, padding,
+            outline: outline === null ? null : _parseColor(Array.isArray(outline) ? outline : [outline], colormode),
+            background: background === null ? null : _parseColor(Array.isArray(background) ? background : [background], colormode),
+        };
+        return this._queueCommand('write', [String(arg), move, align, font, style]);
+    }
+
+    /**
+     * 计算 write() 书写一段文字所占的大小 (海龟坐标单位)，不绘制任何东西
+     * @param {string} text - 文字，其中的 '\n' 会换行
+     * @param {Array} [font=['Arial', 8, 'normal']] - [名称, 大小, 类型]
+     * @param {number} [lineSpacing=1.2] - 行距，为字号的倍数
+     * @returns {{width: number, height: number}} 最宽一行的宽度和所有行的总高度
+     * @example
+     * const {width} = t.textsize('x 轴', ['Arial', 10, 'normal']);
+     * t.forward(200 - width).write('x 轴', {font: ['Arial', 10, 'normal']});
      */
-    write(arg, {move = false, align = 'left', font = ['Arial', 8, 'normal']} = {}) {
-        return this._queueCommand('write', [String(arg), move, align, font]);
+    textsize(text, font = ['Arial', 8, 'normal'], lineSpacing = 1.2) {
+        Turtle._checkTextOptions(lineSpacing, 0);
+        const [fontName, fontSize = 8, fontType = 'normal'] = font;
+        const layout = this.screen._layoutText({
+            text: String(text), font: _fontString(font), fontSpec: [fontName, fontSize, fontType], lineSpacing,
+        });
+        const scale = this.screen._unitScale();
+        return {width: layout.width / Math.abs(scale.x), height: layout.height / Math.abs(scale.y)};
     }
     
-    circle(radius, extent, steps) { return this._queueCommand('circle', [radius, extent, steps]); }
-    dot(size, ...colorArgs) { return this._queueCommand('dot', [size, ...colorArgs]); }
-    
-    fillcolor(...args) {
-        if (args.length === 0) return this.penState.fillColor;
-        return this._queueCommand('fillcolor', args);
+    circle(radius, extent, steps) {
+        const degrees = extent === undefined ? 360 : this._toDegrees(extent);
+        return this._queueCommand('circle', [radius, degrees, steps]);
     }
-    
+    /**
+     * 在当前位置画一个圆点
+     * @param {number} [size] - 直径，默认为 pensize + 4
+     * @param {...*} [color] - 颜色，默认为画笔颜色。与 Python 一致，也可以省略 size 直接给出颜色
+     */
+    dot(size, ...color) {
+        if (size !== undefined && size !== null && typeof size !== 'number') {
+            color = [size, ...color];
+            size  = null;
+        }
+        const css = color.length ? _parseColor(color, this.screen._colormode) : null;
+        return this._queueCommand('dot', [size, css]);
+    }
+
+    /**
+     * 设置或返回填充颜色
+     * @param {...*} [color] - 颜色，接受的形式见 Screen#colormode；省略时返回当前颜色的元组
+     */
+    fillcolor(...color) {
+        if (color.length === 0) return _colorTuple(this.penState.fillColor, this.screen._colormode);
+        return this._queueCommand('fillcolor', [_parseColor(color, this.screen._colormode)]);
+    }
+
+    /**
+     * 同时设置或返回画笔颜色和填充颜色
+     * - color(c): 两者都设为 c
+     * - color(pen, fill): 分别设置
+     * - color(r, g, b): 两者都设为该颜色
+     * @returns {Array|Turtle} 不带参数时返回 [画笔颜色, 填充颜色]
+     */
     color(...args) {
-        if (args.length === 0) return [this.penState.color, this.penState.fillColor];
-        return this._queueCommand('color', args);
+        const mode = this.screen._colormode;
+        if (args.length === 0) return [_colorTuple(this.penState.color, mode), _colorTuple(this.penState.fillColor, mode)];
+        if (args.length === 2) {
+            return this._queueCommand('color', [_parseColor([args[0]], mode), _parseColor([args[1]], mode)]);
+        }
+        const css = _parseColor(args, mode);
+        return this._queueCommand('color', [css, css]);
     }
     
+    /**
+     * 设置或返回填充规则，在 end_fill() 时生效
+     * @param {'evenodd'|'nonzero'} [rule] - 'evenodd' (默认，与 Python 相同) 或 'nonzero'
+     */
+    fillrule(rule) {
+        if (rule === undefined) return this.penState.fillRule;
+        if (rule !== 'evenodd' && rule !== 'nonzero') {
+            throw new TurtleGraphicsError(`Unknown fill rule: ${rule}`);
+        }
+        return this._queueCommand('fillrule', [rule]);
+    }
+
     begin_fill() { return this._queueCommand('begin_fill', []); }
     end_fill() { return this._queueCommand('end_fill', []); }
+
+    /**
+     * 在海龟当前位置留下一个当前形状的印记 (使用当前的颜色、朝向和形状变换)
+     * @returns {number} 印记编号，可传给 clearstamp()。编号在命令入队时就已确定
+     */
+    stamp() {
+        const id = this.screen._nextStampId++;
+        this._queueCommand('stamp', [id]);
+        return id;
+    }
+
+    /**
+     * 删除编号为 id 的印记
+     * @param {number} id - stamp() 的返回值
+     */
+    clearstamp(id) {
+        return this._queueCommand('clearstamp', [id]);
+    }
+
+    /**
+     * 删除此海龟的全部或部分印记
+     * @param {number|null} [n=null] - null 删除全部；n > 0 删除最早的 n 个；n < 0 删除最近的 |n| 个
+     */
+    clearstamps(n = null) {
+        return this._queueCommand('clearstamps', [n]);
+    }
+
+    /**
+     * 设置或返回形状的拉伸系数和轮廓宽度，与 Python 的 shapesize() 相同。
+     * 只给出 stretch_wid 时两个方向按相同比例拉伸。不带参数时返回 [stretch_wid, stretch_len, outline]。
+     * @param {number} [stretch_wid] - 垂直于朝向的拉伸系数
+     * @param {number} [stretch_len] - 沿朝向的拉伸系数
+     * @param {number} [outline] - 轮廓宽度 (像素)
+     */
+    shapesize(stretch_wid = null, stretch_len = null, outline = null) {
+        if (stretch_wid === null && stretch_len === null && outline === null) {
+            return [...this._shapeState.stretch, this._outlineWidth()];
+        }
+        if (stretch_wid === 0 || stretch_len === 0) {
+            throw new TurtleGraphicsError('stretch_wid/stretch_len must not be zero');
+        }
+        if (stretch_wid !== null && stretch_len === null) stretch_len = stretch_wid;
+        return this._queueCommand('shapesize', [stretch_wid, stretch_len, outline]);
+    }
+    turtlesize(stretch_wid, stretch_len, outline) { return this.shapesize(stretch_wid, stretch_len, outline); }
+
+    /**
+     * 设置或返回形状的剪切系数 (剪切角的正切值)，不改变海龟的朝向
+     * @param {number} [shear]
+     */
+    shearfactor(shear) {
+        if (shear === undefined) return this._shapeState.shear;
+        return this._queueCommand('shearfactor', [shear]);
+    }
+
+    /**
+     * 在当前倾斜角的基础上再转动形状 angle，不改变海龟的朝向
+     * @param {number} angle - 角度 (单位见 degrees()/radians())
+     */
+    tilt(angle) {
+        return this._queueCommand('tilt', [this._toTilt(angle), true]);
+    }
+
+    /**
+     * 设置或返回形状的倾斜角 (相对于海龟朝向)，不改变海龟的朝向
+     * @param {number} [angle] - 角度 (单位见 degrees()/radians())，方向与 mode() 一致
+     */
+    tiltangle(angle) {
+        if (angle === undefined) return this._fromTilt(this._shapeState.tilt);
+        return this._queueCommand('tilt', [this._toTilt(angle), false]);
+    }
+    settiltangle(angle) { return this.tiltangle(angle); }
+
+    /**
+     * 设置或返回形状的变换矩阵。设置时会分解为拉伸、剪切和倾斜，与 Python 的 shapetransform() 相同。
+     * @param {number} [t11]
+     * @param {number} [t12]
+     * @param {number} [t21]
+     * @param {number} [t22]
+     * @returns {Array<number>|Turtle} 不带参数时返回 [t11, t12, t21, t22]
+     */
+    shapetransform(t11, t12, t21, t22) {
+        const matrix = this._shapeMatrix();
+        if ([t11, t12, t21, t22].every(t => t === undefined)) return matrix;
+        const m = [t11, t12, t21, t22].map((t, i) => t === undefined ? matrix[i] : t);
+        if (m[0] * m[3] - m[1] * m[2] === 0) {
+            throw new TurtleGraphicsError('Bad shape transform matrix: must not be singular');
+        }
+        return this._queueCommand('shapetransform', m);
+    }
+
+    /**
+     * @private
+     * 由拉伸、剪切和倾斜组成形状变换矩阵 [t11, t12, t21, t22] (作用于 Shape 的坐标)
+     */
+    _shapeMatrix() {
+        const {stretch: [sx, sy], shear, tilt} = this._shapeState;
+        const sa = Math.sin(tilt), ca = Math.cos(tilt);
+        return [sx * ca, sy * (shear * ca + sa), -sx * sa, sy * (ca - shear * sa)];
+    }
+
+    /**
+     * @private
+     * 图像形状的画布变换 [a, b, c, d] (ctx.transform() 的前四个参数)。
+     * 图像不随朝向旋转，相当于海龟始终朝上：图像的右方对应 Shape 坐标的 x 轴，上方对应 y 轴。
+     */
+    _imageMatrix() {
+        const [t11, t12, t21, t22] = this._shapeMatrix();
+        return [t11, -t21, -t12, t22];
+    }
+
+    /**
+     * @private
+     * 形状轮廓的实际宽度
+     */
+    _outlineWidth() {
+        const outline = this._shapeState.outline;
+        return outline === null ? this.penState.width : outline;
+    }
+
+    /**
+     * @private
+     * 把用户单位的倾斜角换算为内部的弧度 (logo 模式下角度顺时针增加)
+     */
+    _toTilt(angle) {
+        const degrees = this._toDegrees(angle) * (this.screen._mode === 'logo' ? -1 : 1);
+        return -degrees * Math.PI / 180;
+    }
+
+    /**
+     * @private
+     * _toTilt 的逆运算，范围 [0, fullcircle)
+     */
+    _fromTilt(tilt) {
+        const degrees = -tilt * 180 / Math.PI * (this.screen._mode === 'logo' ? -1 : 1);
+        const value   = Math.round(degrees * 1e10) / 1e10 * this._fullcircle / 360;
+        return (value % this._fullcircle + this._fullcircle) % this._fullcircle;
+    }
+
+    /**
+     * 开始记录海龟经过的顶点，当前位置是第一个顶点
+     */
+    begin_poly() {
+        return this._queueCommand('begin_poly', []);
+    }
+
+    /**
+     * 停止记录顶点
+     */
+    end_poly() {
+        return this._queueCommand('end_poly', []);
+    }
+
+    /**
+     * 返回最近一次 begin_poly()/end_poly() 记录的顶点 [[x, y], ...]，可直接传给 screen.register_shape()
+     * @returns {Array<Array<number>>|null} 从未记录过时返回 null
+     */
+    get_poly() {
+        return this._poly && this._poly.map(pt => [...pt]);
+    }
     
     forward(d) { return this._queueCommand('forward', [d]); }
     fd(d) { return this.forward(d); }
@@ -804,22 +4840,46 @@ class Turtle {
     backward(d) { return this._queueCommand('backward', [d]); }
     bk(d) { return this.backward(d); }
     
-    right(a) { return this._queueCommand('right', [a]); }
+    right(a) { return this._queueCommand('right', [this._toDegrees(a)]); }
     rt(a) { return this.right(a); }
     
-    left(a) { return this._queueCommand('left', [a]); }
+    left(a) { return this._queueCommand('left', [this._toDegrees(a)]); }
     lt(a) { return this.left(a); }
     
     /**
-     * 将海龟移动到指定的笛卡尔坐标 (x, y)，(0,0) 在画布中心
+     * 将海龟移动到指定的海龟坐标 (x, y)。默认 (0,0) 在画布中心，world 模式下由 setworldcoordinates() 决定
      */
     goto(x, y) {
-        // 将用户友好的笛卡尔坐标 (0,0 在中心, y轴向上) 转换为 canvas 坐标 (0,0 在左上角, y轴向下)
-        const canvasX = x + this.screen.canvas.width / 2;
-        const canvasY = -y + this.screen.canvas.height / 2;
-        return this._queueCommand('goto', [canvasX, canvasY]);
+        return this._queueCommand('goto', [x, y]);
     }
     setpos(x, y) { return this.goto(x, y); }
+
+    /**
+     * 只改变海龟的 x 坐标，y 坐标不变
+     */
+    setx(x) {
+        return this._queueCommand('goto', [x, null]);
+    }
+
+    /**
+     * 只改变海龟的 y 坐标，x 坐标不变
+     */
+    sety(y) {
+        return this._queueCommand('goto', [null, y]);
+    }
+
+    /**
+     * 把海龟瞬间移动到 (x, y)，不画线，也不会让填充区域多出一条边。
+     * 省略的坐标 (null) 保持不变。正在填充时，默认在新位置开始同一个填充区域的新轮廓，
+     * 因此一对 begin_fill()/end_fill() 可以画出多个区域，配合 fillrule('evenodd') 还能挖洞。
+     * @param {number|null} [x=null]
+     * @param {number|null} [y=null]
+     * @param {object} [options]
+     * @param {boolean} [options.fill_gap=false] - 为 true 时不开始新轮廓，瞬移的起点和终点直接相连
+     */
+    teleport(x = null, y = null, {fill_gap = false} = {}) {
+        return this._queueCommand('teleport', [x, y, fill_gap]);
+    }
     
     penup() { return this._queueCommand('penup', []); }
     pu() { return this.penup(); }
@@ -829,12 +4889,270 @@ class Turtle {
     pd() { return this.pendown(); }
     down() { return this.pendown(); }
     
-    pensize(w) { return this._queueCommand('pensize', [w]); }
+    /**
+     * 设置或返回画笔粗细
+     * @param {number} [w] - 省略时返回当前粗细
+     */
+    pensize(w) {
+        if (w === undefined) return this.penState.width;
+        return this._queueCommand('pensize', [w]);
+    }
     width(w) { return this.pensize(w); }
+
+    /**
+     * 读取或一次性设置画笔的全部属性，与 Python 的 pen() 相同。
+     * 不带参数时返回 {shown, pendown, pencolor, fillcolor, pensize, speed}；
+     * 传入字典 (以及可选的第二个字典) 时只修改其中给出的键。
+     * @param {object} [pen] - 例如另一只海龟的 pen() 返回值
+     * @param {object} [pendict] - 额外的键，覆盖 pen 中的同名键
+     */
+    pen(pen, pendict) {
+        if (pen === undefined && pendict === undefined) {
+            return {
+                shown: this.isVisible,
+                pendown: this.penState.isDown,
+                pencolor: _colorTuple(this.penState.color, this.screen._colormode),
+                fillcolor: _colorTuple(this.penState.fillColor, this.screen._colormode),
+                pensize: this.penState.width,
+                speed: this._speed,
+                stretchfactor: [...this._shapeState.stretch],
+                outline: this._outlineWidth(),
+                tilt: this._fromTilt(this._shapeState.tilt),
+                shearfactor: this._shapeState.shear,
+                pendash: [...this.penState.dash],
+                linecap: this.penState.lineCap,
+                linejoin: this.penState.lineJoin,
+                opacity: this.penState.opacity,
+                blendmode: this.penState.blend,
+            };
+        }
+        const values = Object.assign({}, pen, pendict);
+        if ('speed' in values) this.speed(values.speed);
+        if ('tilt' in values) values.tilt = this._toTilt(values.tilt);
+        if ('pencolor' in values)  values.pencolor  = _parseColor([values.pencolor], this.screen._colormode);
+        if ('fillcolor' in values) values.fillcolor = _parseColor([values.fillcolor], this.screen._colormode);
+        if ('pendash' in values)   values.pendash   = Turtle._checkDash(values.pendash);
+        if ('linecap' in values)   Turtle._checkChoice('line cap', values.linecap, _LINE_CAPS);
+        if ('linejoin' in values)  Turtle._checkChoice('line join', values.linejoin, _LINE_JOINS);
+        if ('opacity' in values)   Turtle._checkOpacity(values.opacity);
+        if ('blendmode' in values) Turtle._checkChoice('blend mode', values.blendmode, _BLEND_MODES);
+        return this._queueCommand('pen', [values]);
+    }
+
+    /**
+     * 设置或返回虚线模式
+     * @param {Array<number>|null} [pattern] - 交替的实线和空白长度 (像素)，例如 [10, 5]；null 或 [] 为实线
+     */
+    pendash(pattern) {
+        if (pattern === undefined) return [...this.penState.dash];
+        return this._queueCommand('penstyle', ['dash', Turtle._checkDash(pattern)]);
+    }
+
+    /**
+     * 设置或返回线段端点的样式
+     * @param {'butt'|'round'|'square'} [cap] - 默认 'round'
+     */
+    linecap(cap) {
+        if (cap === undefined) return this.penState.lineCap;
+        Turtle._checkChoice('line cap', cap, _LINE_CAPS);
+        return this._queueCommand('penstyle', ['lineCap', cap]);
+    }
+
+    /**
+     * 设置或返回折线转角处的样式
+     * @param {'miter'|'round'|'bevel'} [join] - 默认 'round'
+     */
+    linejoin(join) {
+        if (join === undefined) return this.penState.lineJoin;
+        Turtle._checkChoice('line join', join, _LINE_JOINS);
+        return this._queueCommand('penstyle', ['lineJoin', join]);
+    }
+
+    /**
+     * 设置或返回画笔的不透明度，作用于之后画出的线、填充、点和文字
+     * @param {number} [alpha] - 0 (完全透明) 到 1 (不透明)
+     */
+    opacity(alpha) {
+        if (alpha === undefined) return this.penState.opacity;
+        Turtle._checkOpacity(alpha);
+        return this._queueCommand('penstyle', ['opacity', alpha]);
+    }
+
+    /**
+     * 设置或返回混合模式，作用于之后画出的线、填充、点和文字
+     * @param {string} [mode] - canvas 的 globalCompositeOperation 取值，例如 'multiply'、'screen'、'lighter'；默认 'source-over'
+     */
+    blendmode(mode) {
+        if (mode === undefined) return this.penState.blend;
+        Turtle._checkChoice('blend mode', mode, _BLEND_MODES);
+        return this._queueCommand('penstyle', ['blend', mode]);
+    }
+
+    /**
+     * 设置或返回海龟所在的图层。图层编号大的海龟，它的全部绘图 (包括之前画的) 和图标都在编号小的图层上面；
+     * 同一图层中按绘制的先后，后画的盖住先画的。所有海龟默认都在图层 0。
+     * @param {number} [n] - 图层编号，省略时返回当前图层
+     * @example
+     * label.layer(1); // 标注总是显示在其他海龟的图形上面
+     */
+    layer(n) {
+        if (n === undefined) return this._layer;
+        if (!(typeof n === 'number' && isFinite(n))) {
+            throw new TurtleGraphicsError(`bad layer: ${n}`);
+        }
+        return this._queueCommand('layer', [n]);
+    }
+
+    /**
+     * 设置或返回海龟到达屏幕边界 (绘图区，参见 Screen#screensize) 时的行为，作用于 forward()/backward()/goto()/setx()/sety()：
+     * 'none' 不限制 (默认)，'wrap' 从对边出现，'bounce' 反弹 (forward()/backward() 的朝向随之改变)，'stop' 停在边界上。
+     * circle() 和 teleport() 不受影响；已经在边界之外的海龟可以自由移动，直到它回到边界之内。
+     * @param {string} [policy] - 'none' | 'wrap' | 'bounce' | 'stop'，省略时返回当前策略
+     * @example
+     * ball.edgepolicy('bounce');
+     * setInterval(() => ball.forward(5), 20);
+     */
+    edgepolicy(policy) {
+        if (policy === undefined) return this._edgePolicy;
+        Turtle._checkChoice('edge policy', policy, _EDGE_POLICIES);
+        return this._queueCommand('edgepolicy', [policy]);
+    }
+
+    /**
+     * 判断此海龟与另一只海龟的图标是否重叠。按两者当前经过变换 (朝向、shapesize() 等) 的形状轮廓判断；
+     * 隐藏的、已被移出屏幕的海龟不与任何海龟重叠。
+     * @param {Turtle} other - 另一只海龟 (需要在同一个屏幕上)
+     * @returns {boolean}
+     * @example
+     * if (snake.collides(food)) food.goto(Math.random() * 200 - 100, 0);
+     */
+    collides(other) {
+        if (!(other instanceof Turtle)) {
+            throw new TurtleGraphicsError(`collides() needs a turtle, got ${other}`);
+        }
+        if (other.screen !== this.screen) {
+            throw new TurtleGraphicsError('collides() needs a turtle on the same screen');
+        }
+        if (other === this) return false;
+        const outline = turtle => {
+            const sprite = turtle.isVisible && !turtle._removed ? turtle._sprite() : null;
+            return sprite ? this.screen._spriteOutline(sprite) : [];
+        };
+        const mine = outline(this), theirs = outline(other);
+        return mine.some(a => theirs.some(b => _polygonsIntersect(a, b)));
+    }
+
+    /**
+     * 返回此海龟画出的全部内容 (路径、填充、文字、点和印记，包括线宽和文字大小) 的外框。
+     * 不包括海龟图标本身；要判断图标之间的碰撞请用 collides()。
+     * @returns {{llx: number, lly: number, urx: number, ury: number}|null} 海龟坐标，还没有画任何东西时返回 null
+     * @example
+     * const box = turtle.bbox();
+     * screen.setworldcoordinates(box.llx, box.lly, box.urx, box.ury); // 让整幅图充满窗口
+     */
+    bbox() {
+        return this.screen._bbox([this]);
+    }
+
+    /**
+     * 给所有海龟添加一个方法，它会被 expose() 一并暴露。适合由已有命令组合而成的辅助方法；
+     * 需要作为一个整体入队、撤销和记录的命令请用 Screen.registerCommand()。
+     * @param {string} name - 方法名，不能与已有的成员重名；重新添加同一个方法会替换它
+     * @param {function} fn - 方法本身，this 为海龟
+     * @example
+     * Turtle.registerMethod('square', function (size) {
+     *     for (let i = 0; i < 4; i++) this.forward(size).left(90);
+     *     return this;
+     * });
+     */
+    static registerMethod(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new TurtleGraphicsError(`registerMethod() needs a function for ${name}`);
+        }
+        if (typeof name !== 'string' || !name || name.startsWith('_') ||
+            (name in Turtle.prototype && !_pluginMethods.includes(name))) {
+            throw new TurtleGraphicsError(`Cannot add a turtle method named ${name}`);
+        }
+        Turtle.prototype[name] = fn;
+        if (!_pluginMethods.includes(name)) _pluginMethods.push(name);
+    }
+
+    /**
+     * @private
+     * 校验 write()/textsize() 的行距和留白
+     */
+    static _checkTextOptions(lineSpacing, padding) {
+        if (!(typeof lineSpacing === 'number' && lineSpacing > 0 && isFinite(lineSpacing))) {
+            throw new TurtleGraphicsError(`bad line spacing: ${lineSpacing}`);
+        }
+        if (!(typeof padding === 'number' && padding >= 0 && isFinite(padding))) {
+            throw new TurtleGraphicsError(`bad padding: ${padding}`);
+        }
+    }
+
+    /**
+     * @private
+     * 校验并复制虚线模式
+     */
+    static _checkDash(pattern) {
+        if (pattern === null) return [];
+        if (!Array.isArray(pattern) || !pattern.every(v => typeof v === 'number' && v >= 0 && isFinite(v))) {
+            throw new TurtleGraphicsError(`bad dash pattern: ${JSON.stringify(pattern)}`);
+        }
+        return [...pattern];
+    }
+
+    /**
+     * @private
+     * 校验取值是否属于给定的集合
+     */
+    static _checkChoice(what, value, choices) {
+        if (!choices.includes(value)) {
+            throw new TurtleGraphicsError(`bad ${what}: ${value} (expected one of ${choices.join(', ')})`);
+        }
+    }
+
+    /**
+     * @private
+     * 校验不透明度
+     */
+    static _checkOpacity(alpha) {
+        if (typeof alpha !== 'number' || !(alpha >= 0 && alpha <= 1)) {
+            throw new TurtleGraphicsError(`bad opacity: ${alpha} (expected 0-1)`);
+        }
+    }
+
+    /**
+     * 画笔是否落下
+     * @returns {boolean}
+     */
+    isdown() {
+        return this.penState.isDown;
+    }
+
+    /**
+     * 海龟是否可见
+     * @returns {boolean}
+     */
+    isvisible() {
+        return this.isVisible;
+    }
+
+    /**
+     * 是否正在填充 (处于 begin_fill 与 end_fill 之间)
+     * @returns {boolean}
+     */
+    filling() {
+        return this.penState.isFilling;
+    }
     
-    pencolor(...args) {
-        if (args.length === 0) return this.penState.color;
-        return this._queueCommand('pencolor', args);
+    /**
+     * 设置或返回画笔颜色
+     * @param {...*} [color] - 颜色，接受的形式见 Screen#colormode；省略时返回当前颜色的元组
+     */
+    pencolor(...color) {
+        if (color.length === 0) return _colorTuple(this.penState.color, this.screen._colormode);
+        return this._queueCommand('pencolor', [_parseColor(color, this.screen._colormode)]);
     }
     
     hideturtle() { return this._queueCommand('hideturtle', []); }
@@ -843,6 +5161,30 @@ class Turtle {
     showturtle() { return this._queueCommand('showturtle', []); }
     st() { return this.showturtle(); }
     
+    /**
+     * 撤销此海龟最近的一个动作 (移动、转向、画笔设置、文字、点、填充等)。
+     * 一次 circle() 整体算作一个动作。可以重复调用，直到撤销缓冲区为空。
+     */
+    undo() {
+        return this._queueCommand('undo', []);
+    }
+
+    /**
+     * 设置撤销缓冲区的大小并清空已有记录
+     * @param {number|null} size - 最多可撤销的动作数；传入 null 或 0 则禁用撤销
+     */
+    setundobuffer(size) {
+        return this._queueCommand('setundobuffer', [size || 0]);
+    }
+
+    /**
+     * 返回撤销缓冲区中的条目数
+     * @returns {number}
+     */
+    undobufferentries() {
+        return this._undoBuffer.length;
+    }
+
     /**
      * 仅清除此海龟的绘图，海龟状态和位置不变。
      */
@@ -855,16 +5197,59 @@ class Turtle {
      * @returns {{x: number, y: number}}
      */
     position() {
-        const centerX = this.screen.canvas.width / 2;
-        const centerY = this.screen.canvas.height / 2;
-        return {x: this.x - centerX, y: -(this.y - centerY)};
+        return {x: this.x, y: this.y};
     }
     pos() { return this.position(); }
+
+    /**
+     * 返回海龟的 x 坐标
+     * @returns {number}
+     */
+    xcor() {
+        return this.x;
+    }
+
+    /**
+     * 返回海龟的 y 坐标
+     * @returns {number}
+     */
+    ycor() {
+        return this.y;
+    }
+
+    /**
+     * 返回从海龟位置指向目标点的方向角 (单位和方向与 heading() 相同)
+     * @param {number|Turtle|{x: number, y: number}|Array<number>} x - x 坐标，或另一只海龟、一个点
+     * @param {number} [y]
+     * @returns {number}
+     */
+    towards(x, y) {
+        const p = _toPoint(x, y);
+        return this._fromHeading(Math.atan2(p.y - this.y, p.x - this.x) * 180 / Math.PI);
+    }
+
+    /**
+     * 返回海龟到目标点的距离 (海龟坐标单位)
+     * @param {number|Turtle|{x: number, y: number}|Array<number>} x - x 坐标，或另一只海龟、一个点
+     * @param {number} [y]
+     * @returns {number}
+     */
+    distance(x, y) {
+        const p = _toPoint(x, y);
+        return Math.hypot(p.x - this.x, p.y - this.y);
+    }
 }
 
 // --- 暴露 API 到全局 ---
-// 将核心类挂载到传入的 global 对象上 (在浏览器中通常是 window)
+// 将核心类挂载到传入的 global 对象上 (浏览器中是 window，Worker 中是 self，Node 中是 globalThis)
 global.Turtle = Turtle;
 global.Screen = Screen;
+global.Shape = Shape;
+global.TurtleGraphicsError = TurtleGraphicsError;
+
+// 在 CommonJS 环境 (Node) 中同时作为模块导出
+if (typeof module === 'object' && module.exports) {
+    module.exports = {Turtle, Screen, Shape, TurtleGraphicsError};
+}
 
-}(window));
+}(typeof globalThis !== 'undefined' ? globalThis : window));